@@ -5,53 +5,271 @@ const express = require('express');
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const zlib = require('zlib');
 const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+const { Transform, Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { execFile } = require('child_process');
 const sharp = require('sharp');
+const { Client: SshClient } = require('ssh2');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// 部署在反向代理之后时设置，用于获取真实客户端 IP（登录限流依赖）
+const TRUST_PROXY = process.env.TRUST_PROXY;
 const DB_PATH = process.env.DB_PATH || './data/baby.db';
 const MEDIA_PATH = process.env.MEDIA_PATH || './media';
 const BACKUP_PATH = process.env.BACKUP_PATH || './backups';
 const THUMB_PATH = process.env.THUMB_PATH || './data/thumbnails';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg'; // 用于提取视频封面，不可用时显示占位图
+const APP_VERSION = require('./package.json').version;
 
 const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7天
 const SESSION_REMEMBER_AGE = 30 * 24 * 60 * 60 * 1000; // 30天（记住密码）
-
-// 简单的会话存储（内存中）
-const sessions = new Map();
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // 最后活跃时间的更新间隔
+const SESSION_PRUNE_INTERVAL = 60 * 60 * 1000; // 每小时清理过期会话
 
 // 生成会话ID
 function generateSessionId() {
     return crypto.randomBytes(32).toString('hex');
 }
 
-// 密码加密（SHA256 + salt）
-function hashPassword(password, salt = null) {
+// 会话ID只保存哈希值，数据库泄露时无法直接冒用
+function hashSessionId(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+// 从 Cookie 中读取会话ID
+function getSessionId(req) {
+    const match = (req.headers.cookie || '').match(/baby_session=([^;]+)/);
+    return match ? match[1] : null;
+}
+
+// 密码哈希参数（scrypt），存储格式：scrypt$N$r$p$<hex>
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// 登录限流：同一用户名 / 同一 IP 连续失败后暂时锁定
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000; // 失败次数统计窗口
+const LOGIN_LOCK_TIME = 15 * 60 * 1000; // 锁定时长
+const LOGIN_MAX_FAILURES_USER = 5;
+const LOGIN_MAX_FAILURES_IP = 20;
+const LOGIN_MAX_TRACKED_USERS = 1000; // 最多跟踪的用户名数，任意用户名不会让统计无限增长
+const loginFailures = new Map(); // 'user:<name>' / 'ip:<addr>' -> { count, firstAt, lockedUntil }
+
+// 异步 scrypt，计算在线程池中进行，不阻塞事件循环
+function scrypt(password, salt, keylen, options) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, keylen, options, (error, derived) => {
+            if (error) reject(error);
+            else resolve(derived);
+        });
+    });
+}
+
+// 密码加密（scrypt + salt）
+async function hashPassword(password, salt = null) {
     if (!salt) {
         salt = crypto.randomBytes(16).toString('hex');
     }
-    const hash = crypto.createHash('sha256').update(password + salt).digest('hex');
-    return { hash, salt };
+    const { N, r, p } = SCRYPT_PARAMS;
+    const derived = await scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p, maxmem: SCRYPT_MAXMEM });
+    return { hash: `scrypt$${N}$${r}$${p}$${derived.toString('hex')}`, salt };
+}
+
+// 旧版 SHA256 + salt 哈希
+function hashPasswordLegacy(password, salt) {
+    return crypto.createHash('sha256').update(password + salt).digest('hex');
+}
+
+// 验证密码（兼容旧版 SHA256 哈希）
+async function verifyPassword(password, hash, salt) {
+    let expected;
+    let actual;
+    if (hash.startsWith('scrypt$')) {
+        const [, N, r, p, hex] = hash.split('$');
+        expected = Buffer.from(hex, 'hex');
+        actual = await scrypt(password, salt, expected.length, {
+            N: parseInt(N), r: parseInt(r), p: parseInt(p), maxmem: SCRYPT_MAXMEM
+        });
+    } else {
+        expected = Buffer.from(hash, 'hex');
+        actual = Buffer.from(hashPasswordLegacy(password, salt), 'hex');
+    }
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// 哈希是否需要升级（旧版 SHA256 或参数低于当前设置）
+function passwordNeedsRehash(hash) {
+    if (!hash.startsWith('scrypt$')) return true;
+    const [, N, r, p] = hash.split('$');
+    return parseInt(N) < SCRYPT_PARAMS.N || parseInt(r) < SCRYPT_PARAMS.r || parseInt(p) < SCRYPT_PARAMS.p;
+}
+
+// 用户不存在时也执行一次哈希，避免通过响应时间枚举用户名（Promise，首次使用时已计算完成）
+const DUMMY_PASSWORD = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// 登录限流的统计键
+function loginFailureKeys(req, username) {
+    const keys = [{ key: `ip:${req.ip}`, max: LOGIN_MAX_FAILURES_IP }];
+    if (username) keys.push({ key: `user:${username}`, max: LOGIN_MAX_FAILURES_USER });
+    return keys;
+}
+
+// 返回剩余锁定时间（毫秒），未锁定时返回 0
+function getLoginLock(req, username) {
+    const now = Date.now();
+    let remaining = 0;
+    for (const { key } of loginFailureKeys(req, username)) {
+        const entry = loginFailures.get(key);
+        if (entry && entry.lockedUntil > now) {
+            remaining = Math.max(remaining, entry.lockedUntil - now);
+        }
+    }
+    return remaining;
+}
+
+// 记录一次登录失败，达到上限后锁定
+function recordLoginFailure(req, username) {
+    const now = Date.now();
+    for (const { key, max } of loginFailureKeys(req, username)) {
+        let entry = loginFailures.get(key);
+        if (!entry && key.startsWith('user:') && !makeRoomForLoginUser(now)) continue;
+        if (!entry || now - entry.firstAt > LOGIN_FAILURE_WINDOW) {
+            entry = { count: 0, firstAt: now, lockedUntil: 0 };
+            loginFailures.set(key, entry);
+        }
+        entry.count++;
+        if (entry.count >= max) {
+            entry.lockedUntil = now + LOGIN_LOCK_TIME;
+            entry.count = 0;
+            entry.firstAt = now;
+            console.warn(`[认证] 登录失败次数过多，已锁定 ${key}`);
+        }
+    }
+}
+
+// 跟踪的用户名达到上限时先清理过期记录，再移除最早的未锁定记录；全部处于锁定中时不再跟踪新用户名（仍受 IP 限制）
+function makeRoomForLoginUser(now) {
+    const userKeys = () => [...loginFailures.keys()].filter(key => key.startsWith('user:'));
+    if (userKeys().length < LOGIN_MAX_TRACKED_USERS) return true;
+    pruneLoginFailures();
+    const keys = userKeys();
+    if (keys.length < LOGIN_MAX_TRACKED_USERS) return true;
+    const oldest = keys.find(key => loginFailures.get(key).lockedUntil <= now);
+    if (!oldest) return false;
+    loginFailures.delete(oldest);
+    return true;
+}
+
+// 登录成功后清除失败记录
+function clearLoginFailures(req, username) {
+    for (const { key } of loginFailureKeys(req, username)) {
+        loginFailures.delete(key);
+    }
+}
+
+// 清理已过期的失败记录
+function pruneLoginFailures() {
+    const now = Date.now();
+    for (const [key, entry] of loginFailures) {
+        if (entry.lockedUntil <= now && now - entry.firstAt > LOGIN_FAILURE_WINDOW) {
+            loginFailures.delete(key);
+        }
+    }
 }
 
-// 验证密码
-function verifyPassword(password, hash, salt) {
-    const result = hashPassword(password, salt);
-    return result.hash === hash;
+// 锁定提示
+function loginLockMessage(remaining) {
+    return `登录失败次数过多，请 ${Math.ceil(remaining / 60000)} 分钟后再试`;
 }
 
-// 验证会话
+// 验证会话，有效时返回会话记录（数据库中的一行）
 function validateSession(sessionId) {
     if (!sessionId) return false;
-    const session = sessions.get(sessionId);
+    const session = db.prepare('SELECT * FROM sessions WHERE token_hash = ?').get(hashSessionId(sessionId));
     if (!session) return false;
-    if (Date.now() > session.expires) {
-        sessions.delete(sessionId);
+
+    const now = new Date();
+    if (new Date(session.expires_at) <= now) {
+        db.prepare('DELETE FROM sessions WHERE id = ?').run(session.id);
         return false;
     }
-    return true;
+
+    // 更新最后活跃时间（限制写入频率）
+    if (!session.last_seen_at || now - new Date(session.last_seen_at) > SESSION_TOUCH_INTERVAL) {
+        db.prepare('UPDATE sessions SET last_seen_at = ? WHERE id = ?').run(now.toISOString(), session.id);
+    }
+    return session;
+}
+
+// 创建登录会话并写入 Cookie
+function startSession(req, res, user, maxAge = SESSION_MAX_AGE) {
+    const sessionId = generateSessionId();
+    const now = new Date();
+    db.prepare(`
+        INSERT INTO sessions (token_hash, user_id, created_at, last_seen_at, expires_at, user_agent, ip)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        hashSessionId(sessionId),
+        user.id,
+        now.toISOString(),
+        now.toISOString(),
+        new Date(now.getTime() + maxAge).toISOString(),
+        (req.headers['user-agent'] || '').slice(0, 255),
+        req.ip || ''
+    );
+    res.setHeader('Set-Cookie', `baby_session=${sessionId}; Path=/; HttpOnly; Max-Age=${maxAge / 1000}; SameSite=Lax`);
+    return sessionId;
+}
+
+// 删除已过期的会话
+function pruneSessions() {
+    const result = db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(new Date().toISOString());
+    if (result.changes > 0) {
+        console.log(`[会话] 已清理 ${result.changes} 个过期会话`);
+    }
+}
+
+// 定期清理过期会话和登录失败记录
+function startSessionCleanup() {
+    pruneSessions();
+    setInterval(() => {
+        pruneSessions();
+        pruneLoginFailures();
+    }, SESSION_PRUNE_INTERVAL).unref();
+}
+
+// 用户角色：所有者管理设置/Token/备份/成员，照护者可记录数据，查看者只读
+const ROLE_LEVELS = { viewer: 1, caregiver: 2, owner: 3 };
+const ROLE_NAMES = { owner: '所有者', caregiver: '照护者', viewer: '查看者' };
+
+// API Token 对应的角色：read 相当于查看者，write 相当于照护者，Token 不能访问仅所有者可用的接口
+const TOKEN_ROLES = { read: 'viewer', write: 'caregiver' };
+
+// 仅所有者可访问的接口
+const OWNER_PATHS = ['/api/tokens', '/api/backup', '/api/export', '/api/import', '/api/users', '/api/invitations', '/api/thumbnails'];
+
+// 判断请求所需的最低角色
+function requiredRole(req) {
+    // 修改密码、管理自己的登录设备
+    if (req.path === '/api/auth/password' || req.path.startsWith('/api/auth/sessions')) return 'viewer';
+    if (OWNER_PATHS.some(p => req.path === p || req.path.startsWith(p + '/'))) return 'owner';
+    if (req.method === 'GET' || req.method === 'HEAD') return 'viewer';
+    // 宝宝档案、头像、添加/删除宝宝属于设置
+    if (req.path.startsWith('/api/baby')) return 'owner';
+    return 'caregiver';
+}
+
+// 记录创建者：登录用户名，或 API Token 名称
+function actorName(req) {
+    if (req.user) return req.user.username;
+    if (req.tokenData) return `API:${req.tokenData.name}`;
+    return null;
 }
 
 // 生成 API Token
@@ -120,22 +338,26 @@ if (!fs.existsSync(THUMB_PATH)) {
 }
 
 // --- Middlewares ---
+if (TRUST_PROXY) {
+    app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+}
+
 // 内置 CORS 支持
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Baby-Id');
     if (req.method === 'OPTIONS') return res.sendStatus(200);
     next();
 });
 
 app.use(express.json({ limit: '50mb' }));
 
-// 检查是否已设置管理员账户
+// 检查是否已设置管理员（所有者）账户
 function isAdminSetup() {
     try {
-        const admin = db.prepare('SELECT * FROM admin_user LIMIT 1').get();
-        return !!admin;
+        const owner = db.prepare("SELECT id FROM users WHERE role = 'owner' LIMIT 1").get();
+        return !!owner;
     } catch (e) {
         return false;
     }
@@ -150,7 +372,13 @@ const authMiddleware = (req, res, next) => {
 
     // 认证相关接口不需要认证
     if (req.path === '/api/auth/login' || req.path === '/api/auth/status' ||
-        req.path === '/api/auth/register' || req.path === '/api/auth/setup-status') {
+        req.path === '/api/auth/register' || req.path === '/api/auth/setup-status' ||
+        req.path === '/api/auth/accept-invite' || req.path.startsWith('/invite/')) {
+        return next();
+    }
+
+    // 健康检查供监控工具使用，不需要认证（匿名请求只返回总体状态）
+    if (req.path === '/api/health') {
         return next();
     }
 
@@ -174,6 +402,12 @@ const authMiddleware = (req, res, next) => {
         if (tokenResult.valid) {
             req.authType = 'api_token';
             req.tokenData = tokenResult.token;
+
+            // 与登录用户相同，按 Token 对应的角色限制操作
+            const tokenRole = TOKEN_ROLES[tokenResult.token.permission] || 'viewer';
+            if (ROLE_LEVELS[tokenRole] < ROLE_LEVELS[requiredRole(req)]) {
+                return res.status(403).json({ error: `API Token 只有${ROLE_NAMES[tokenRole]}权限，无权执行此操作` });
+            }
             return next();
         }
 
@@ -188,14 +422,24 @@ const authMiddleware = (req, res, next) => {
     }
 
     // 方式2: 检查 Cookie 中的会话
-    const cookies = req.headers.cookie || '';
-    const sessionMatch = cookies.match(/baby_session=([^;]+)/);
-    const sessionId = sessionMatch ? sessionMatch[1] : null;
-
-    if (validateSession(sessionId)) {
+    const session = validateSession(getSessionId(req));
+    const user = session && db.prepare('SELECT id, username, role FROM users WHERE id = ?').get(session.user_id);
+    if (user) {
         req.authType = 'session';
+        req.user = user;
+        req.session = session;
+
+        // 按角色限制操作
+        const role = requiredRole(req);
+        if (ROLE_LEVELS[user.role] < ROLE_LEVELS[role]) {
+            return res.status(403).json({ error: `当前账户为${ROLE_NAMES[user.role]}，无权执行此操作` });
+        }
         return next();
     }
+    if (session) {
+        // 账户已被删除
+        db.prepare('DELETE FROM sessions WHERE id = ?').run(session.id);
+    }
 
     // 未认证：API 返回 401，页面返回登录页
     if (req.path.startsWith('/api/')) {
@@ -206,8 +450,8 @@ const authMiddleware = (req, res, next) => {
     return res.send(getLoginPage());
 };
 
-// 注册页面 HTML（首次设置）
-function getSetupPage(error = '') {
+// 注册页面 HTML（首次设置，或通过邀请链接加入）
+function getSetupPage(error = '', invite = null) {
     return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
@@ -247,7 +491,7 @@ function getSetupPage(error = '') {
                 👶
             </div>
             <h1 class="text-xl md:text-2xl font-bold text-gray-800">欢迎使用宝宝成长记录</h1>
-            <p class="text-gray-500 text-sm mt-2">首次使用，请设置管理员账户</p>
+            <p class="text-gray-500 text-sm mt-2">${invite ? `您受邀以「${ROLE_NAMES[invite.role]}」身份加入，请设置账户` : '首次使用，请设置管理员账户'}</p>
         </div>
 
         <div class="bg-blue-50 border border-blue-200 rounded-xl p-3 mb-4">
@@ -255,14 +499,15 @@ function getSetupPage(error = '') {
                 <span class="text-blue-500">🔐</span>
                 <div class="text-sm text-blue-700">
                     <p class="font-medium">安全提示</p>
-                    <p class="text-xs mt-1 text-blue-600">密码将使用 SHA256 加密存储，请牢记您的账户信息。</p>
+                    <p class="text-xs mt-1 text-blue-600">密码将使用 scrypt 加密存储，请牢记您的账户信息。</p>
                 </div>
             </div>
         </div>
 
         ${error ? `<div class="bg-red-50 text-red-600 p-3 rounded-xl mb-4 text-center text-sm">${error}</div>` : ''}
 
-        <form method="POST" action="/api/auth/register" class="space-y-4">
+        <form method="POST" action="${invite ? '/api/auth/accept-invite' : '/api/auth/register'}" class="space-y-4">
+            ${invite ? `<input type="hidden" name="code" value="${invite.code}">` : ''}
             <div>
                 <label class="block text-sm font-medium text-gray-700 mb-1.5">设置用户名</label>
                 <input type="text" name="username" required autocomplete="username" minlength="3" maxlength="20"
@@ -283,7 +528,7 @@ function getSetupPage(error = '') {
             </div>
             <button type="submit"
                 class="w-full bg-gradient-to-r from-purple-600 to-pink-500 text-white py-3.5 rounded-xl font-medium hover:from-purple-700 hover:to-pink-600 active:from-purple-800 active:to-pink-700 transition-all text-base shadow-lg">
-                ✨ 完成设置
+                ${invite ? '✨ 加入' : '✨ 完成设置'}
             </button>
         </form>
     </div>
@@ -400,7 +645,7 @@ function getLoginPage(error = '') {
 app.use(express.urlencoded({ extended: true }));
 
 // 注册 API（仅首次设置时可用）
-app.post('/api/auth/register', (req, res) => {
+app.post('/api/auth/register', async (req, res) => {
     const { username, password, confirmPassword } = req.body;
 
     // 检查是否已经设置过管理员
@@ -421,24 +666,21 @@ app.post('/api/auth/register', (req, res) => {
         return res.send(getSetupPage('两次输入的密码不一致'));
     }
 
-    // 加密密码并存储
-    const { hash, salt } = hashPassword(password);
+    // 加密密码并存储（计算哈希期间可能已有其他请求完成了设置）
+    const { hash, salt } = await hashPassword(password);
+    if (isAdminSetup()) {
+        return res.status(400).send(getLoginPage('管理员账户已存在，请直接登录'));
+    }
 
     try {
-        db.prepare(
-            'INSERT INTO admin_user (id, username, password_hash, password_salt) VALUES (1, ?, ?, ?)'
+        const info = db.prepare(
+            "INSERT INTO users (username, password_hash, password_salt, role) VALUES (?, ?, ?, 'owner')"
         ).run(username, hash, salt);
 
         console.log(`[认证] 管理员账户已创建: ${username}`);
 
         // 自动登录
-        const sessionId = generateSessionId();
-        sessions.set(sessionId, {
-            user: username,
-            expires: Date.now() + SESSION_MAX_AGE
-        });
-
-        res.setHeader('Set-Cookie', `baby_session=${sessionId}; Path=/; HttpOnly; Max-Age=${SESSION_MAX_AGE / 1000}; SameSite=Lax`);
+        startSession(req, res, { id: info.lastInsertRowid, username });
         return res.redirect('/');
     } catch (error) {
         console.error('[认证] 注册失败:', error.message);
@@ -447,33 +689,108 @@ app.post('/api/auth/register', (req, res) => {
 });
 
 // 登录 API
-app.post('/api/auth/login', (req, res) => {
+app.post('/api/auth/login', async (req, res) => {
     const { username, password, remember } = req.body;
 
-    // 从数据库获取管理员信息
-    const admin = db.prepare('SELECT * FROM admin_user WHERE id = 1').get();
-
-    if (!admin) {
+    if (!isAdminSetup()) {
         return res.send(getSetupPage('请先设置管理员账户'));
     }
 
-    // 验证密码
-    if (username === admin.username && verifyPassword(password, admin.password_hash, admin.password_salt)) {
-        const sessionId = generateSessionId();
-        const maxAge = remember ? SESSION_REMEMBER_AGE : SESSION_MAX_AGE;
+    const lockRemaining = getLoginLock(req, username);
+    if (lockRemaining > 0) {
+        return res.status(429).send(getLoginPage(loginLockMessage(lockRemaining)));
+    }
 
-        sessions.set(sessionId, {
-            user: username,
-            expires: Date.now() + maxAge
-        });
+    // 校验是异步的，先记一次失败（成功后清除），并发请求不能绕过次数限制
+    recordLoginFailure(req, username);
 
-        res.setHeader('Set-Cookie', `baby_session=${sessionId}; Path=/; HttpOnly; Max-Age=${maxAge / 1000}; SameSite=Lax`);
+    // 从数据库获取用户信息并验证密码
+    const user = db.prepare('SELECT * FROM users WHERE username = ?').get(username || '');
+    let valid = false;
+    if (user) {
+        valid = await verifyPassword(password || '', user.password_hash, user.password_salt);
+    } else {
+        const dummy = await DUMMY_PASSWORD;
+        await verifyPassword(password || '', dummy.hash, dummy.salt);
+    }
+
+    if (valid) {
+        clearLoginFailures(req, username);
+
+        // 旧版哈希在登录成功时透明升级
+        if (passwordNeedsRehash(user.password_hash)) {
+            const { hash, salt } = await hashPassword(password);
+            db.prepare('UPDATE users SET password_hash = ?, password_salt = ? WHERE id = ?').run(hash, salt, user.id);
+            console.log(`[认证] ${user.username} 的密码哈希已升级为 scrypt`);
+        }
+
+        startSession(req, res, user, remember ? SESSION_REMEMBER_AGE : SESSION_MAX_AGE);
         return res.redirect('/');
     }
 
     res.send(getLoginPage('用户名或密码错误'));
 });
 
+// 查找有效的邀请
+function findInvitation(code) {
+    if (!code || !/^[a-f0-9]{32}$/.test(code)) return null;
+    const invite = db.prepare('SELECT * FROM invitations WHERE code = ? AND used_at IS NULL').get(code);
+    if (!invite || new Date(invite.expires_at) <= new Date()) return null;
+    return invite;
+}
+
+// 邀请链接页面
+app.get('/invite/:code', (req, res) => {
+    const invite = findInvitation(req.params.code);
+    if (!invite) {
+        return res.status(404).send(getLoginPage('邀请链接无效或已过期'));
+    }
+    res.send(getSetupPage('', invite));
+});
+
+// 接受邀请，创建账户并登录
+app.post('/api/auth/accept-invite', async (req, res) => {
+    const { code, username, password, confirmPassword } = req.body;
+
+    const invite = findInvitation(code);
+    if (!invite) {
+        return res.status(400).send(getLoginPage('邀请链接无效或已过期'));
+    }
+
+    if (!username || username.length < 3 || username.length > 20) {
+        return res.send(getSetupPage('用户名长度必须在 3-20 个字符之间', invite));
+    }
+    if (!password || password.length < 6) {
+        return res.send(getSetupPage('密码长度至少 6 个字符', invite));
+    }
+    if (password !== confirmPassword) {
+        return res.send(getSetupPage('两次输入的密码不一致', invite));
+    }
+    if (db.prepare('SELECT id FROM users WHERE username = ?').get(username)) {
+        return res.send(getSetupPage('用户名已被使用', invite));
+    }
+
+    const { hash, salt } = await hashPassword(password);
+    // 计算哈希期间邀请可能已被使用，或用户名已被占用
+    if (!findInvitation(code)) {
+        return res.status(400).send(getLoginPage('邀请链接无效或已过期'));
+    }
+    if (db.prepare('SELECT id FROM users WHERE username = ?').get(username)) {
+        return res.send(getSetupPage('用户名已被使用', invite));
+    }
+    const userId = db.transaction(() => {
+        const info = db.prepare('INSERT INTO users (username, password_hash, password_salt, role) VALUES (?, ?, ?, ?)')
+            .run(username, hash, salt, invite.role);
+        db.prepare('UPDATE invitations SET used_at = ?, used_by = ? WHERE id = ?')
+            .run(new Date().toISOString(), username, invite.id);
+        return info.lastInsertRowid;
+    })();
+
+    console.log(`[认证] ${username} 通过邀请加入（${ROLE_NAMES[invite.role]}）`);
+    startSession(req, res, { id: userId, username });
+    res.redirect('/');
+});
+
 // 检查初始设置状态
 app.get('/api/auth/setup-status', (req, res) => {
     res.json({ needSetup: !isAdminSetup() });
@@ -481,18 +798,20 @@ app.get('/api/auth/setup-status', (req, res) => {
 
 app.get('/api/auth/status', (req, res) => {
     const adminSetup = isAdminSetup();
+    const session = adminSetup && validateSession(getSessionId(req));
+    const user = session ? db.prepare('SELECT id, username, role FROM users WHERE id = ?').get(session.user_id) : null;
     res.json({
         enabled: adminSetup,
         needSetup: !adminSetup,
-        loggedIn: adminSetup ? validateSession((req.headers.cookie || '').match(/baby_session=([^;]+)/)?.[1]) : false
+        loggedIn: !!user,
+        user: user || null
     });
 });
 
 app.post('/api/auth/logout', (req, res) => {
-    const cookies = req.headers.cookie || '';
-    const sessionMatch = cookies.match(/baby_session=([^;]+)/);
-    if (sessionMatch) {
-        sessions.delete(sessionMatch[1]);
+    const sessionId = getSessionId(req);
+    if (sessionId) {
+        db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashSessionId(sessionId));
     }
     res.setHeader('Set-Cookie', 'baby_session=; Path=/; HttpOnly; Max-Age=0');
     res.json({ success: true });
@@ -514,16 +833,39 @@ if (!fs.existsSync(dataDir)) {
 const db = new Database(DB_PATH);
 
 db.exec(`
-  CREATE TABLE IF NOT EXISTS admin_user (
-    id INTEGER PRIMARY KEY CHECK (id = 1),
-    username TEXT NOT NULL,
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
     password_hash TEXT NOT NULL,
     password_salt TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer',
     created_at TEXT DEFAULT CURRENT_TIMESTAMP
   );
 
+  CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash TEXT UNIQUE NOT NULL,
+    user_id INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    last_seen_at TEXT,
+    expires_at TEXT NOT NULL,
+    user_agent TEXT DEFAULT '',
+    ip TEXT DEFAULT ''
+  );
+
+  CREATE TABLE IF NOT EXISTS invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL,
+    role TEXT NOT NULL,
+    created_by TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL,
+    used_at TEXT,
+    used_by TEXT
+  );
+
   CREATE TABLE IF NOT EXISTS baby (
-    id INTEGER PRIMARY KEY CHECK (id = 1),
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT,
     birthDate TEXT,
     gender TEXT,
@@ -531,11 +873,9 @@ db.exec(`
     avatar TEXT
   );
 
-  INSERT OR IGNORE INTO baby (id, name, birthDate, gender, bloodType)
-  VALUES (1, 'Baby', '${new Date().toISOString().split('T')[0]}', 'male', 'Unknown');
-
   CREATE TABLE IF NOT EXISTS records (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
+    baby_id INTEGER DEFAULT 1,
     date TEXT,
     time TEXT,
     height REAL,
@@ -548,6 +888,52 @@ db.exec(`
     mediaIds TEXT
   );
 
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    baby_id INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    date TEXT NOT NULL,
+    time TEXT DEFAULT '',
+    amount REAL,
+    side TEXT,
+    duration INTEGER,
+    name TEXT,
+    dose TEXT,
+    poop TEXT DEFAULT '',
+    pee TEXT DEFAULT '',
+    note TEXT DEFAULT '',
+    created_by TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS sleeps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    baby_id INTEGER NOT NULL,
+    start_at TEXT NOT NULL,
+    end_at TEXT,
+    note TEXT DEFAULT '',
+    created_by TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS media (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    path TEXT UNIQUE NOT NULL,
+    type TEXT NOT NULL,
+    size INTEGER,
+    mtime TEXT,
+    date TEXT,
+    taken_at TEXT,
+    camera TEXT,
+    latitude REAL,
+    longitude REAL,
+    duration REAL,
+    unsupported INTEGER DEFAULT 0,
+    sha256 TEXT,
+    meta_version INTEGER DEFAULT 0,
+    indexed_at TEXT
+  );
+
   CREATE TABLE IF NOT EXISTS media_meta (
     filename TEXT PRIMARY KEY,
     title TEXT,
@@ -567,7 +953,50 @@ db.exec(`
     size INTEGER,
     recordCount INTEGER,
     mediaCount INTEGER,
-    status TEXT
+    status TEXT,
+    target TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS backup_targets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    config TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    max_count INTEGER DEFAULT 10,
+    last_status TEXT,
+    last_run_at TEXT,
+    created_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS notify_channels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    config TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    last_status TEXT,
+    last_sent_at TEXT,
+    created_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS backup_target_files (
+    target_id INTEGER NOT NULL,
+    filename TEXT NOT NULL,
+    blobs TEXT,
+    PRIMARY KEY (target_id, filename)
+  );
+
+  CREATE TABLE IF NOT EXISTS backup_target_blobs (
+    target_id INTEGER NOT NULL,
+    sha256 TEXT NOT NULL,
+    PRIMARY KEY (target_id, sha256)
+  );
+
+  CREATE TABLE IF NOT EXISTS backup_pins (
+    filename TEXT PRIMARY KEY,
+    pinned_at TEXT,
+    pinned_by TEXT
   );
 
   CREATE TABLE IF NOT EXISTS api_tokens (
@@ -603,269 +1032,2127 @@ try {
     db.exec(`ALTER TABLE api_tokens ADD COLUMN expires_at TEXT`);
 } catch (e) {}
 
-// --- Helper Functions ---
-function scanMedia(dir, fileList = [], relativePath = '') {
-    if (!fs.existsSync(dir)) return [];
+// 迁移：baby 表去掉 CHECK (id = 1) 限制，支持多个宝宝
+const babyTableSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'baby'").get();
+if (babyTableSql && /CHECK\s*\(\s*id\s*=\s*1\s*\)/i.test(babyTableSql.sql)) {
+    db.transaction(() => {
+        db.exec(`
+          CREATE TABLE baby_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT,
+            birthDate TEXT,
+            gender TEXT,
+            bloodType TEXT,
+            avatar TEXT
+          );
+          INSERT INTO baby_new (id, name, birthDate, gender, bloodType, avatar)
+            SELECT id, name, birthDate, gender, bloodType, avatar FROM baby;
+          DROP TABLE baby;
+          ALTER TABLE baby_new RENAME TO baby;
+        `);
+    })();
+    console.log('[迁移] baby 表已升级为多宝宝结构');
+}
+// 迁移：为 records 添加 baby_id 字段（旧数据归属第一个宝宝）
+try {
+    db.exec(`ALTER TABLE records ADD COLUMN baby_id INTEGER DEFAULT 1`);
+} catch (e) {}
+db.exec(`CREATE INDEX IF NOT EXISTS idx_records_baby ON records (baby_id, date)`);
+// 迁移：媒体索引增加拍摄时间、相机、位置（meta_version 为 0 的行会在下次扫描时补全）
+['taken_at TEXT', 'camera TEXT', 'latitude REAL', 'longitude REAL', 'duration REAL', 'unsupported INTEGER DEFAULT 0', 'sha256 TEXT', 'meta_version INTEGER DEFAULT 0'].forEach(column => {
+    try {
+        db.exec(`ALTER TABLE media ADD COLUMN ${column}`);
+    } catch (e) {}
+});
+db.exec(`CREATE INDEX IF NOT EXISTS idx_media_date ON media (date)`);
+// 迁移：备份日志记录远程目标（本地备份为空）
+try {
+    db.exec(`ALTER TABLE backup_logs ADD COLUMN target TEXT`);
+} catch (e) {}
+// 迁移：记录创建者
+try {
+    db.exec(`ALTER TABLE records ADD COLUMN created_by TEXT`);
+} catch (e) {}
 
-    const files = fs.readdirSync(dir);
-    files.forEach(file => {
-        const filePath = path.join(dir, file);
-        const stat = fs.statSync(filePath);
-        const relPath = path.join(relativePath, file);
+// 迁移：单管理员 admin_user 表转为多用户 users 表，原管理员成为所有者
+const hasAdminTable = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'admin_user'").get();
+if (hasAdminTable) {
+    db.transaction(() => {
+        db.exec(`
+          INSERT OR IGNORE INTO users (username, password_hash, password_salt, role, created_at)
+            SELECT username, password_hash, password_salt, 'owner', created_at FROM admin_user;
+          DROP TABLE admin_user;
+        `);
+    })();
+    console.log('[迁移] 管理员账户已迁移为所有者');
+}
+db.exec(`CREATE INDEX IF NOT EXISTS idx_events_baby ON events (baby_id, date)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_sleeps_baby ON sleeps (baby_id, start_at)`);
+
+// 迁移：records 中的奶量/大便/小便转为独立事件
+// 纯喂养/排泄记录迁移后删除（备注随事件保留），含生长指标或照片的记录只清空这些字段
+function migrateRecordEvents() {
+    const legacy = db.prepare(
+        `SELECT * FROM records WHERE milk_amount > 0 OR IFNULL(poop, '') != '' OR IFNULL(pee, '') != ''`
+    ).all();
+    if (legacy.length === 0) return 0;
+
+    const insertEvent = db.prepare(
+        'INSERT INTO events (baby_id, type, date, time, amount, poop, pee, note) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+    );
+    const clearRecord = db.prepare(`UPDATE records SET milk_amount = 0, poop = '', pee = '' WHERE id = ?`);
+    const deleteRecord = db.prepare('DELETE FROM records WHERE id = ?');
+
+    db.transaction(() => {
+        legacy.forEach(r => {
+            const keepRecord = r.height > 0 || r.weight > 0 || r.head > 0 || !!r.mediaIds;
+            let note = keepRecord ? '' : (r.note || '');
+
+            if (r.milk_amount > 0) {
+                insertEvent.run(r.baby_id, 'bottle', r.date, r.time || '', r.milk_amount, '', '', note);
+                note = '';
+            }
+            if (r.poop || r.pee) {
+                insertEvent.run(r.baby_id, 'diaper', r.date, r.time || '', null, r.poop || '', r.pee || '', note);
+            }
 
-        if (stat.isDirectory()) {
-            scanMedia(filePath, fileList, relPath);
-        } else {
-            const ext = path.extname(file).toLowerCase();
-            if (['.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp4', '.mov'].includes(ext)) {
-                fileList.push({
-                    path: relPath,
-                    fullPath: filePath,
-                    type: ['.mp4', '.mov'].includes(ext) ? 'video' : 'image',
-                    mtime: stat.mtime
-                });
+            if (keepRecord) {
+                clearRecord.run(r.id);
+            } else {
+                deleteRecord.run(r.id);
             }
-        }
-    });
-    return fileList;
+        });
+    })();
+
+    console.log(`[迁移] ${legacy.length} 条记录的喂养/排泄数据已转为事件`);
+    return legacy.length;
+}
+migrateRecordEvents();
+
+// 至少保留一个宝宝档案
+if (!db.prepare('SELECT id FROM baby LIMIT 1').get()) {
+    db.prepare('INSERT INTO baby (name, birthDate, gender, bloodType) VALUES (?, ?, ?, ?)')
+        .run('Baby', new Date().toISOString().split('T')[0], 'male', 'Unknown');
 }
 
-// 简易 TAR 打包（不依赖外部库）
-function createTarBuffer(files) {
-    const buffers = [];
+// --- Helper Functions ---
 
-    for (const { name, content } of files) {
-        // TAR header (512 bytes)
-        const header = Buffer.alloc(512);
-        const nameBytes = Buffer.from(name, 'utf8');
-        nameBytes.copy(header, 0, 0, Math.min(nameBytes.length, 100));
+// 支持的媒体格式
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.avif'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.3gp'];
+const MEDIA_EXTENSIONS = [...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS];
+// 浏览器可以直接显示/播放的格式，其余格式（如 HEIC、3GP）需要通过缩略图接口转换预览
+const NATIVE_PREVIEW_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.mp4', '.mov', '.m4v'];
 
-        // File mode
-        Buffer.from('0000644 ', 'utf8').copy(header, 100);
-        // UID
-        Buffer.from('0000000 ', 'utf8').copy(header, 108);
-        // GID
-        Buffer.from('0000000 ', 'utf8').copy(header, 116);
-        // Size (octal)
-        Buffer.from(content.length.toString(8).padStart(11, '0') + ' ', 'utf8').copy(header, 124);
-        // Mtime
-        Buffer.from(Math.floor(Date.now() / 1000).toString(8).padStart(11, '0') + ' ', 'utf8').copy(header, 136);
-        // Checksum placeholder
-        Buffer.from('        ', 'utf8').copy(header, 148);
-        // Type (0 = regular file)
-        header[156] = 0x30;
+function mediaTypeOf(filename) {
+    return VIDEO_EXTENSIONS.includes(path.extname(filename).toLowerCase()) ? 'video' : 'image';
+}
 
-        // Calculate checksum
-        let checksum = 0;
-        for (let i = 0; i < 512; i++) {
-            checksum += header[i];
-        }
-        Buffer.from(checksum.toString(8).padStart(6, '0') + '\0 ', 'utf8').copy(header, 148);
+// 递归扫描媒体目录（异步，避免大量文件时阻塞事件循环）
+async function scanMedia(dir, fileList = [], relativePath = '') {
+    let files;
+    try {
+        files = await fs.promises.readdir(dir);
+    } catch (e) {
+        return fileList;
+    }
 
-        buffers.push(header);
-        buffers.push(content);
+    for (const file of files) {
+        // 跳过隐藏文件和上传临时目录
+        if (file.startsWith('.')) continue;
+        const filePath = path.join(dir, file);
+        const relPath = path.join(relativePath, file);
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath);
+        } catch (e) {
+            continue; // 扫描期间被删除
+        }
 
-        // Padding to 512-byte boundary
-        const padding = 512 - (content.length % 512);
-        if (padding < 512) {
-            buffers.push(Buffer.alloc(padding));
+        if (stat.isDirectory()) {
+            await scanMedia(filePath, fileList, relPath);
+        } else if (MEDIA_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+            fileList.push({
+                path: relPath,
+                fullPath: filePath,
+                type: mediaTypeOf(file),
+                size: stat.size,
+                mtime: stat.mtime
+            });
         }
     }
+    return fileList;
+}
 
-    // End of archive (two empty blocks)
-    buffers.push(Buffer.alloc(1024));
+// =============================================
+// 媒体元数据（EXIF / HEIF / QuickTime）
+// =============================================
 
-    return Buffer.concat(buffers);
+// 元数据解析逻辑有变化时递增，已索引的文件会重新读取
+const MEDIA_META_VERSION = 2;
+const QUICKTIME_EPOCH_OFFSET = 2082844800; // 1904-01-01 到 1970-01-01 的秒数
+const MAX_META_BOX_SIZE = 4 * 1024 * 1024;
+
+// 读取文件的一段内容
+async function readFileRange(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
 }
 
-// 解析 TAR 文件
-function parseTar(buffer) {
-    const files = [];
-    let offset = 0;
+// Date -> 本地时间 "YYYY-MM-DDTHH:MM:SS"
+function toLocalDateTime(d) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${formatLocalDate(d)}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
 
-    while (offset < buffer.length - 512) {
-        const header = buffer.slice(offset, offset + 512);
+// 从 "YYYY:MM:DD HH:MM:SS" 或 "YYYY-MM-DDTHH:MM:SS±hhmm" 中取拍摄地的本地时间
+function normalizeCaptureTime(value) {
+    const m = value && String(value).match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!m || m[1] < '1970') return null;
+    const result = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+    return isNaN(new Date(result)) ? null : result;
+}
 
-        // Check for empty block (end of archive)
-        if (header.every(b => b === 0)) break;
+// 相机名称：型号已包含厂商时不重复
+function formatCamera(make, model) {
+    make = (make || '').trim();
+    model = (model || '').trim();
+    if (!model) return make || null;
+    return make && !model.toLowerCase().startsWith(make.split(' ')[0].toLowerCase()) ? `${make} ${model}` : model;
+}
 
-        // Extract filename
-        let nameEnd = 0;
-        while (nameEnd < 100 && header[nameEnd] !== 0) nameEnd++;
-        const name = header.slice(0, nameEnd).toString('utf8');
+// 解析 ISO 6709 坐标字符串，如 "+31.2304+121.4737+005.000/"
+function parseIso6709(value) {
+    const m = value && String(value).match(/^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/);
+    if (!m) return null;
+    const latitude = parseFloat(m[1]);
+    const longitude = parseFloat(m[2]);
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return { latitude, longitude };
+}
 
-        // Extract size
-        const sizeStr = header.slice(124, 135).toString('utf8').trim();
-        const size = parseInt(sizeStr, 8) || 0;
+// 解析 EXIF（TIFF 结构）：拍摄时间、相机、GPS
+function parseExif(exif) {
+    // 可能带有 "Exif\0\0" 前缀
+    let tiff = exif;
+    if (tiff.subarray(0, 6).toString('latin1') === 'Exif\0\0') tiff = tiff.subarray(6);
+    if (tiff.length < 8) return {};
+
+    const order = tiff.subarray(0, 2).toString('latin1');
+    if (order !== 'II' && order !== 'MM') return {};
+    const le = order === 'II';
+    const u16 = (o) => le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o);
+    const u32 = (o) => le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o);
+
+    // 读取一个 IFD 中的 ASCII / LONG / RATIONAL 字段
+    const readIfd = (offset) => {
+        const tags = {};
+        if (!offset || offset + 2 > tiff.length) return tags;
+        const count = u16(offset);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > tiff.length) break;
+            const tag = u16(entry);
+            const type = u16(entry + 2);
+            const num = u32(entry + 4);
+            if (type === 2) {
+                const start = num > 4 ? u32(entry + 8) : entry + 8;
+                if (start + num <= tiff.length) {
+                    tags[tag] = tiff.subarray(start, start + num).toString('utf8').replace(/\0+$/, '').trim();
+                }
+            } else if (type === 3) {
+                tags[tag] = u16(entry + 8);
+            } else if (type === 4) {
+                tags[tag] = u32(entry + 8);
+            } else if (type === 5 && num <= 8) {
+                const start = u32(entry + 8);
+                if (start + num * 8 <= tiff.length) {
+                    tags[tag] = Array.from({ length: num }, (_, k) => {
+                        const denominator = u32(start + k * 8 + 4);
+                        return denominator ? u32(start + k * 8) / denominator : 0;
+                    });
+                }
+            }
+        }
+        return tags;
+    };
 
-        offset += 512;
+    try {
+        const ifd0 = readIfd(u32(4));
+        const exifIfd = readIfd(ifd0[0x8769]);
+        const gpsIfd = readIfd(ifd0[0x8825]);
 
-        if (size > 0 && name) {
-            const content = buffer.slice(offset, offset + size);
-            files.push({ name, content });
+        const result = {
+            takenAt: normalizeCaptureTime(exifIfd[0x9003]) || normalizeCaptureTime(exifIfd[0x9004]) || normalizeCaptureTime(ifd0[0x0132]),
+            camera: formatCamera(ifd0[0x010F], ifd0[0x0110])
+        };
 
-            // Move to next 512-byte boundary
-            offset += Math.ceil(size / 512) * 512;
+        // GPS：度分秒 + 南北/东西参考
+        const toDegrees = (dms, ref, negative) => {
+            if (!Array.isArray(dms) || dms.length < 3) return null;
+            const value = Math.round((dms[0] + dms[1] / 60 + dms[2] / 3600) * 1e6) / 1e6;
+            return ref === negative ? -value : value;
+        };
+        const latitude = toDegrees(gpsIfd[2], gpsIfd[1], 'S');
+        const longitude = toDegrees(gpsIfd[4], gpsIfd[3], 'W');
+        if (latitude !== null && longitude !== null && (latitude !== 0 || longitude !== 0)) {
+            result.latitude = latitude;
+            result.longitude = longitude;
         }
+        return result;
+    } catch (e) {
+        return {};
     }
+}
 
-    return files;
+// JPEG：在 APP1 段中查找 EXIF
+async function readJpegExif(handle) {
+    let pos = 2;
+    for (let i = 0; i < 64; i++) {
+        const marker = await readFileRange(handle, pos, 4);
+        if (marker.length < 4 || marker[0] !== 0xFF) return null;
+        if (marker[1] === 0xDA || marker[1] === 0xD9) return null; // 已到图像数据
+        const length = marker.readUInt16BE(2);
+        if (marker[1] === 0xE1) {
+            const data = await readFileRange(handle, pos + 4, length - 2);
+            if (data.subarray(0, 6).toString('latin1') === 'Exif\0\0') return data;
+        }
+        pos += 2 + length;
+    }
+    return null;
 }
 
-// --- API Routes ---
+// 列出 ISO BMFF（MP4/MOV/HEIF）某一层的 box，不读取内容
+async function listBoxes(handle, start, end) {
+    const boxes = [];
+    let pos = start;
+    while (pos + 8 <= end && boxes.length < 1000) {
+        const header = await readFileRange(handle, pos, 16);
+        if (header.length < 8) break;
+        let size = header.readUInt32BE(0);
+        const type = header.subarray(4, 8).toString('latin1');
+        let headerSize = 8;
+        if (size === 1) {
+            if (header.length < 16) break;
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - pos;
+        }
+        if (size < headerSize) break;
+        boxes.push({ type, start: pos + headerSize, end: Math.min(pos + size, end) });
+        pos += size;
+    }
+    return boxes;
+}
 
-app.get('/api/status', (req, res) => res.json({ status: 'ok' }));
+// 在内存中的 box 数据里列出子 box
+function listBufferBoxes(buffer, start = 0) {
+    const boxes = [];
+    let pos = start;
+    while (pos + 8 <= buffer.length) {
+        const size = buffer.readUInt32BE(pos);
+        if (size < 8) break;
+        boxes.push({ type: buffer.subarray(pos + 4, pos + 8).toString('latin1'), start: pos + 8, end: Math.min(pos + size, buffer.length) });
+        pos += size;
+    }
+    return boxes;
+}
 
-// 1. Baby Info
-app.get('/api/baby', (req, res) => {
-    const baby = db.prepare('SELECT * FROM baby WHERE id = 1').get();
-    res.json(baby);
-});
+// HEIF/HEIC：通过 meta/iinf 找到 Exif 项，再通过 iloc 定位数据
+async function readHeifExif(handle, size) {
+    const metaBox = (await listBoxes(handle, 0, size)).find(b => b.type === 'meta');
+    if (!metaBox || metaBox.end - metaBox.start > MAX_META_BOX_SIZE) return null;
+    const meta = await readFileRange(handle, metaBox.start, metaBox.end - metaBox.start);
+    const children = listBufferBoxes(meta, 4); // meta 是 FullBox
+
+    // iinf：找到类型为 Exif 的项
+    const iinf = children.find(b => b.type === 'iinf');
+    if (!iinf) return null;
+    const iinfVersion = meta[iinf.start];
+    const entriesStart = iinf.start + 4 + (iinfVersion === 0 ? 2 : 4);
+    let exifItemId = null;
+    for (const infe of listBufferBoxes(meta.subarray(0, iinf.end), entriesStart)) {
+        if (infe.type !== 'infe') continue;
+        const version = meta[infe.start];
+        if (version < 2) continue;
+        const idSize = version === 2 ? 2 : 4;
+        const itemId = idSize === 2 ? meta.readUInt16BE(infe.start + 4) : meta.readUInt32BE(infe.start + 4);
+        const itemType = meta.subarray(infe.start + 4 + idSize + 2, infe.start + 4 + idSize + 6).toString('latin1');
+        if (itemType === 'Exif') {
+            exifItemId = itemId;
+            break;
+        }
+    }
+    if (exifItemId === null) return null;
+
+    // iloc：读取该项的偏移和长度
+    const iloc = children.find(b => b.type === 'iloc');
+    if (!iloc) return null;
+    const version = meta[iloc.start];
+    let p = iloc.start + 4;
+    const offsetSize = meta[p] >> 4;
+    const lengthSize = meta[p] & 0x0F;
+    const baseOffsetSize = meta[p + 1] >> 4;
+    const indexSize = version === 1 || version === 2 ? meta[p + 1] & 0x0F : 0;
+    p += 2;
+    const readUInt = (n) => {
+        let value = 0;
+        for (let i = 0; i < n; i++) value = value * 256 + meta[p + i];
+        p += n;
+        return value;
+    };
+    const itemCount = readUInt(version < 2 ? 2 : 4);
+    for (let i = 0; i < itemCount && p < iloc.end; i++) {
+        const itemId = readUInt(version < 2 ? 2 : 4);
+        if (version === 1 || version === 2) readUInt(2); // construction_method
+        readUInt(2); // data_reference_index
+        const baseOffset = readUInt(baseOffsetSize);
+        const extentCount = readUInt(2);
+        const extents = [];
+        for (let e = 0; e < extentCount; e++) {
+            if (indexSize) readUInt(indexSize);
+            extents.push({ offset: readUInt(offsetSize), length: readUInt(lengthSize) });
+        }
+        if (itemId === exifItemId && extents.length > 0) {
+            const { offset, length } = extents[0];
+            if (length > MAX_META_BOX_SIZE) return null;
+            const data = await readFileRange(handle, baseOffset + offset, length);
+            // 前 4 字节为 TIFF 头的偏移
+            return data.subarray(4 + data.readUInt32BE(0));
+        }
+    }
+    return null;
+}
 
-app.post('/api/baby', (req, res) => {
-    const { name, birthDate, gender, bloodType } = req.body;
-    db.prepare('UPDATE baby SET name = ?, birthDate = ?, gender = ?, bloodType = ? WHERE id = 1')
-        .run(name, birthDate, gender, bloodType);
-    res.json({ success: true });
-});
+// QuickTime 字符串 box（©xyz、©mod 等）：2 字节长度 + 2 字节语言 + 内容
+function readQuickTimeString(buffer, box) {
+    const length = buffer.readUInt16BE(box.start);
+    return buffer.subarray(box.start + 4, Math.min(box.start + 4 + length, box.end)).toString('utf8');
+}
 
-// 上传宝宝头像 (base64)
-app.post('/api/baby/avatar', (req, res) => {
-    const { avatar } = req.body;
+// Apple mdta 元数据（meta/keys + meta/ilst），返回 { key: value }
+function readQuickTimeKeys(meta) {
+    // QuickTime 的 meta 不是 FullBox，MP4 的是
+    const offset = meta.subarray(4, 8).toString('latin1') === 'hdlr' ? 0 : 4;
+    const children = listBufferBoxes(meta, offset);
+    const keysBox = children.find(b => b.type === 'keys');
+    const ilst = children.find(b => b.type === 'ilst');
+    if (!keysBox || !ilst) return {};
+
+    const keys = [];
+    let p = keysBox.start + 8;
+    while (p + 8 <= keysBox.end) {
+        const size = meta.readUInt32BE(p);
+        if (size < 8) break;
+        keys.push(meta.subarray(p + 8, p + size).toString('utf8'));
+        p += size;
+    }
 
-    if (!avatar) {
-        return res.status(400).json({ error: '头像数据不能为空' });
+    const values = {};
+    for (const item of listBufferBoxes(meta.subarray(0, ilst.end), ilst.start)) {
+        const key = keys[item.type.split('').reduce((n, c) => n * 256 + c.charCodeAt(0), 0) - 1];
+        const data = listBufferBoxes(meta.subarray(0, item.end), item.start).find(b => b.type === 'data');
+        if (key && data) {
+            values[key] = meta.subarray(data.start + 8, data.end).toString('utf8');
+        }
     }
+    return values;
+}
 
-    // 验证 base64 图片格式
-    if (!avatar.startsWith('data:image/')) {
-        return res.status(400).json({ error: '无效的图片格式' });
+// MP4/MOV：mvhd 创建时间（UTC）、Apple 元数据中的本地拍摄时间、位置和机型
+async function readQuickTimeMetadata(handle, size) {
+    const moov = (await listBoxes(handle, 0, size)).find(b => b.type === 'moov');
+    if (!moov) return {};
+
+    const result = {};
+    let make = null;
+    let model = null;
+    for (const box of await listBoxes(handle, moov.start, moov.end)) {
+        if (box.type === 'mvhd') {
+            // version 0: 32 位时间/时长；version 1: 64 位
+            const data = await readFileRange(handle, box.start, 32);
+            const v1 = data[0] === 1;
+            const seconds = v1 ? Number(data.readBigUInt64BE(4)) : data.readUInt32BE(4);
+            const created = new Date((seconds - QUICKTIME_EPOCH_OFFSET) * 1000);
+            if (seconds > QUICKTIME_EPOCH_OFFSET && created <= new Date(Date.now() + 86400000)) {
+                result.takenAt = toLocalDateTime(created);
+            }
+            const timescale = v1 ? data.readUInt32BE(20) : data.readUInt32BE(12);
+            const duration = v1 ? Number(data.readBigUInt64BE(24)) : data.readUInt32BE(16);
+            if (timescale > 0 && duration > 0) {
+                result.duration = Math.round(duration / timescale * 10) / 10;
+            }
+        } else if ((box.type === 'udta' || box.type === 'meta') && box.end - box.start <= MAX_META_BOX_SIZE) {
+            const data = await readFileRange(handle, box.start, box.end - box.start);
+            if (box.type === 'meta') {
+                const keys = readQuickTimeKeys(data);
+                const creationDate = normalizeCaptureTime(keys['com.apple.quicktime.creationdate']);
+                if (creationDate) result.localTakenAt = creationDate;
+                Object.assign(result, parseIso6709(keys['com.apple.quicktime.location.ISO6709']) || {});
+                make = keys['com.apple.quicktime.make'] || make;
+                model = keys['com.apple.quicktime.model'] || model;
+            } else {
+                for (const child of listBufferBoxes(data)) {
+                    if (child.type === '©xyz' && result.latitude === undefined) {
+                        Object.assign(result, parseIso6709(readQuickTimeString(data, child)) || {});
+                    } else if (child.type === '©mak') {
+                        make = make || readQuickTimeString(data, child);
+                    } else if (child.type === '©mod') {
+                        model = model || readQuickTimeString(data, child);
+                    }
+                }
+            }
+        }
     }
 
-    // 限制图片大小 (约 2MB base64)
-    if (avatar.length > 2 * 1024 * 1024 * 1.37) {
-        return res.status(400).json({ error: '图片大小不能超过 2MB' });
+    // Apple 记录的本地时间比 mvhd 的 UTC 时间更准确
+    if (result.localTakenAt) {
+        result.takenAt = result.localTakenAt;
+        delete result.localTakenAt;
     }
+    result.camera = formatCamera(make, model);
+    return result;
+}
 
-    db.prepare('UPDATE baby SET avatar = ? WHERE id = 1').run(avatar);
-    res.json({ success: true });
-});
+// 读取媒体文件的拍摄时间、相机和位置，按文件头判断格式
+// 返回 { takenAt: 'YYYY-MM-DDTHH:MM:SS' | null, camera, latitude, longitude, duration（视频秒数） }
+async function readMediaMetadata(filePath) {
+    let handle;
+    try {
+        handle = await fs.promises.open(filePath, 'r');
+        const { size } = await handle.stat();
+        const head = await readFileRange(handle, 0, 16);
+
+        let result = {};
+        if (head[0] === 0xFF && head[1] === 0xD8) {
+            const exif = await readJpegExif(handle);
+            if (exif) result = parseExif(exif);
+        } else if (head.subarray(4, 8).toString('latin1') === 'ftyp'
+            && ['heic', 'heix', 'heif', 'mif1', 'msf1', 'avif'].includes(head.subarray(8, 12).toString('latin1'))) {
+            const exif = await readHeifExif(handle, size);
+            if (exif) result = parseExif(exif);
+        } else if (VIDEO_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+            result = await readQuickTimeMetadata(handle, size);
+        } else {
+            // PNG / WebP 等交给 sharp 读取 EXIF
+            const { exif } = await sharp(filePath).metadata();
+            if (exif) result = parseExif(exif);
+        }
+
+        return {
+            takenAt: result.takenAt || null,
+            camera: result.camera || null,
+            latitude: result.latitude ?? null,
+            longitude: result.longitude ?? null,
+            duration: result.duration || null
+        };
+    } catch (e) {
+        return { takenAt: null, camera: null, latitude: null, longitude: null, duration: null };
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+// 用备份中的宝宝档案替换当前档案，返回无 baby_id 记录应归属的宝宝 ID
+function restoreBabies(importData) {
+    const babies = importData.babies || [{ id: 1, ...importData.baby }];
+
+    db.prepare('DELETE FROM baby').run();
+    const insertBaby = db.prepare(
+        'INSERT INTO baby (id, name, birthDate, gender, bloodType, avatar) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    babies.forEach(b => {
+        insertBaby.run(b.id, b.name, b.birthDate, b.gender, b.bloodType, b.avatar || null);
+    });
+
+    return babies[0].id;
+}
+
+// 备份中行的原 ID（没有时由数据库重新分配）
+function backupRowId(row) {
+    return Number.isInteger(row.id) && row.id > 0 ? row.id : null;
+}
+
+// 用备份中的事件替换当前事件（旧版备份没有 events，由 migrateRecordEvents 从 records 转换）
+function restoreEvents(importData, defaultBabyId) {
+    db.prepare('DELETE FROM events').run();
+    const insertEvent = db.prepare(
+        'INSERT INTO events (id, baby_id, type, date, time, amount, side, duration, name, dose, poop, pee, note, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    );
+    (importData.events || []).forEach(e => {
+        insertEvent.run(
+            backupRowId(e), e.baby_id || defaultBabyId, e.type, e.date, e.time || '', e.amount ?? null, e.side || null,
+            e.duration ?? null, e.name || null, e.dose || null, e.poop || '', e.pee || '', e.note || '',
+            e.created_by || null, e.created_at || new Date().toISOString()
+        );
+    });
+    migrateRecordEvents();
+}
+
+// 用备份中的睡眠记录替换当前记录
+function restoreSleeps(importData, defaultBabyId) {
+    db.prepare('DELETE FROM sleeps').run();
+    const insertSleep = db.prepare(
+        'INSERT INTO sleeps (id, baby_id, start_at, end_at, note, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    );
+    (importData.sleeps || []).forEach(s => {
+        insertSleep.run(
+            backupRowId(s), s.baby_id || defaultBabyId, s.start_at, s.end_at || null, s.note || '',
+            s.created_by || null, s.created_at || new Date().toISOString()
+        );
+    });
+}
+
+// =============================================
+// 流式 TAR + GZIP（不依赖外部库，不在内存中拼接整个归档）
+// =============================================
+
+const TAR_BLOCK = 512;
+const TAR_MAX_OCTAL_SIZE = 0o77777777777; // ustar 大小字段上限（8 GB），更大的文件写入 PAX 头
+const TAR_MAX_META_SIZE = 1024 * 1024;    // PAX / GNU 长文件名头的最大长度
+
+// PAX 扩展头记录："<长度> <键>=<值>\n"，长度包含自身的位数
+function paxRecord(key, value) {
+    const body = ` ${key}=${value}\n`;
+    const length = Buffer.byteLength(body);
+    let total = length + String(length).length;
+    if (String(total).length !== String(length).length) total = length + String(total).length;
+    return `${total}${body}`;
+}
+
+// 生成一个 ustar 文件头
+function tarHeaderBlock(name, size, mtime, type = '0') {
+    const header = Buffer.alloc(TAR_BLOCK);
+    Buffer.from(name, 'utf8').copy(header, 0, 0, 100);
+    header.write('0000644\0', 100, 'latin1');            // mode
+    header.write('0000000\0', 108, 'latin1');            // uid
+    header.write('0000000\0', 116, 'latin1');            // gid
+    header.write(size.toString(8).padStart(11, '0') + '\0', 124, 'latin1');
+    header.write(Math.floor(mtime / 1000).toString(8).padStart(11, '0') + '\0', 136, 'latin1');
+    header.write('        ', 148, 'latin1');             // 校验和占位
+    header.write(type, 156, 'latin1');
+    header.write('ustar\0' + '00', 257, 'latin1');
+
+    let checksum = 0;
+    for (let i = 0; i < TAR_BLOCK; i++) checksum += header[i];
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 'latin1');
+    return header;
+}
+
+function tarPadding(size) {
+    const remainder = size % TAR_BLOCK;
+    return remainder ? Buffer.alloc(TAR_BLOCK - remainder) : null;
+}
+
+// 条目头：文件名超过 100 字节或文件超过 8 GB 时先写 PAX 扩展头
+function* tarEntryHeader(name, size, mtime) {
+    const records = [];
+    if (Buffer.byteLength(name) > 100) records.push(paxRecord('path', name));
+    if (size > TAR_MAX_OCTAL_SIZE) records.push(paxRecord('size', String(size)));
+
+    if (records.length > 0) {
+        const pax = Buffer.from(records.join(''), 'utf8');
+        yield tarHeaderBlock(`PaxHeaders/${path.posix.basename(name)}`.slice(0, 100), pax.length, mtime, 'x');
+        yield pax;
+        const padding = tarPadding(pax.length);
+        if (padding) yield padding;
+    }
+    yield tarHeaderBlock(name, Math.min(size, TAR_MAX_OCTAL_SIZE), mtime);
+}
+
+// 按顺序生成 TAR 数据块
+// entries: [{ name, content: Buffer }] 或 [{ name, file: 本地路径 }]（文件以流的方式读取）
+// 写完每个条目后在 entry 上记录 size 与 sha256（可以是惰性迭代器，后面的条目能用到前面的校验和）
+async function* generateTar(entries) {
+    for (const entry of entries) {
+        const hash = crypto.createHash('sha256');
+        if (entry.content) {
+            yield* tarEntryHeader(entry.name, entry.content.length, Date.now());
+            hash.update(entry.content);
+            yield entry.content;
+            const padding = tarPadding(entry.content.length);
+            if (padding) yield padding;
+            entry.size = entry.content.length;
+            entry.sha256 = hash.digest('hex');
+            continue;
+        }
+
+        const stat = await fs.promises.stat(entry.file);
+        yield* tarEntryHeader(entry.name, stat.size, stat.mtimeMs);
+        let written = 0;
+        if (stat.size > 0) {
+            // 只读取打包开始时的长度，避免文件正在写入时与文件头不一致
+            for await (const chunk of fs.createReadStream(entry.file, { end: stat.size - 1 })) {
+                written += chunk.length;
+                hash.update(chunk);
+                yield chunk;
+            }
+        }
+        if (written !== stat.size) {
+            throw new Error(`文件在打包过程中被修改: ${entry.name}`);
+        }
+        const padding = tarPadding(stat.size);
+        if (padding) yield padding;
+        entry.size = stat.size;
+        entry.sha256 = hash.digest('hex');
+    }
+
+    // 归档结束（两个空块）
+    yield Buffer.alloc(TAR_BLOCK * 2);
+}
+
+// 将备份 TAR + GZIP 写入可写流（HTTP 响应、文件），末尾附带 manifest.json
+// blobFiles：保存在媒体库增量备份目录中、不打包进归档的媒体文件
+// cipher：由 createBackupCipher 生成时整个归档加密
+function writeTarGz(entries, output, { blobFiles = null, cipher = null } = {}) {
+    const tar = Readable.from(generateTar(withBackupManifest(entries, { blobFiles, cipher })));
+    return cipher
+        ? pipeline(tar, zlib.createGzip(), encryptBackupStream(cipher), output)
+        : pipeline(tar, zlib.createGzip(), output);
+}
+
+// 从异步数据源按字节读取
+function createByteReader(source) {
+    const iterator = source[Symbol.asyncIterator]();
+    let buffer = Buffer.alloc(0);
+    let ended = false;
+
+    const fill = async () => {
+        if (ended) return false;
+        const { value, done } = await iterator.next();
+        if (done) {
+            ended = true;
+            return false;
+        }
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, value]) : value;
+        return true;
+    };
+
+    return {
+        // 读取 n 字节（数据结束时可能不足 n 字节）
+        async read(n) {
+            while (buffer.length < n && await fill());
+            const out = buffer.subarray(0, n);
+            buffer = buffer.subarray(out.length);
+            return out;
+        },
+        // 逐块读取 n 字节
+        async *chunks(n) {
+            while (n > 0) {
+                if (buffer.length === 0 && !await fill()) throw new Error('备份文件不完整');
+                const out = buffer.subarray(0, Math.min(n, buffer.length));
+                buffer = buffer.subarray(out.length);
+                n -= out.length;
+                yield out;
+            }
+        },
+        async skip(n) {
+            for await (const chunk of this.chunks(n)) { /* 丢弃 */ }
+        },
+        // 查看开头 n 字节，不移动读取位置
+        async peek(n) {
+            while (buffer.length < n && await fill());
+            return buffer.subarray(0, n);
+        },
+        // 读取剩余的全部数据
+        async *rest() {
+            while (buffer.length > 0 || await fill()) {
+                const out = buffer;
+                buffer = Buffer.alloc(0);
+                yield out;
+            }
+        },
+        async close() {
+            if (!ended) await iterator.return?.();
+        }
+    };
+}
+
+// 数字字段：八进制，或 GNU base-256（最高位为 1）
+function parseTarNumber(field) {
+    if (field[0] & 0x80) {
+        let value = 0;
+        for (let i = 1; i < field.length; i++) value = value * 256 + field[i];
+        return value;
+    }
+    return parseInt(field.toString('latin1').replace(/\0.*$/s, '').trim(), 8) || 0;
+}
+
+function parsePaxHeaders(buffer) {
+    const result = {};
+    let offset = 0;
+    while (offset < buffer.length) {
+        const space = buffer.indexOf(0x20, offset);
+        if (space === -1) break;
+        const length = parseInt(buffer.subarray(offset, space).toString('latin1'), 10);
+        if (!(length > 0)) break;
+        const record = buffer.subarray(space + 1, offset + length - 1).toString('utf8');
+        const eq = record.indexOf('=');
+        if (eq > 0) result[record.slice(0, eq)] = record.slice(eq + 1);
+        offset += length;
+    }
+    return result;
+}
+
+function readTarString(header, start, length) {
+    const field = header.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+// 流式解析 TAR，依次产出 { name, size, type, body }
+// body 为内容的异步迭代器，需在读取下一个条目前消费完（未读取的部分会自动跳过）
+async function* readTarEntries(source) {
+    const reader = createByteReader(source);
+    let pax = {};
+    let longName = null;
+
+    try {
+        while (true) {
+            const header = await reader.read(TAR_BLOCK);
+            if (header.length === 0 || header.every(b => b === 0)) return;
+            if (header.length < TAR_BLOCK) throw new Error('备份文件不完整');
+
+            let checksum = 0;
+            for (let i = 0; i < TAR_BLOCK; i++) checksum += (i >= 148 && i < 156) ? 0x20 : header[i];
+            if (checksum !== parseTarNumber(header.subarray(148, 156))) {
+                throw new Error('备份文件已损坏（TAR 文件头校验失败）');
+            }
+
+            const type = header[156] ? String.fromCharCode(header[156]) : '0';
+            let size = parseTarNumber(header.subarray(124, 136));
+
+            // PAX 扩展头（x：作用于下一个条目，g：全局，忽略）与 GNU 长文件名（L）
+            if (type === 'x' || type === 'g' || type === 'L') {
+                if (size > TAR_MAX_META_SIZE) throw new Error('备份文件格式无效（扩展头过大）');
+                const data = (await reader.read(Math.ceil(size / TAR_BLOCK) * TAR_BLOCK)).subarray(0, size);
+                if (type === 'x') pax = parsePaxHeaders(data);
+                if (type === 'L') longName = readTarString(data, 0, data.length);
+                continue;
+            }
+
+            let name = readTarString(header, 0, 100);
+            const prefix = header.subarray(257, 263).toString('latin1').startsWith('ustar') ? readTarString(header, 345, 155) : '';
+            if (prefix) name = `${prefix}/${name}`;
+            if (longName) name = longName;
+            if (pax.path) name = pax.path;
+            if (pax.size) size = parseInt(pax.size, 10);
+            pax = {};
+            longName = null;
+
+            let remaining = size;
+            const body = (async function* () {
+                for await (const chunk of reader.chunks(remaining)) {
+                    remaining -= chunk.length;
+                    yield chunk;
+                }
+            })();
+
+            yield {
+                name,
+                size,
+                type: type === '0' || type === '7' ? 'file' : type === '5' ? 'directory' : 'other',
+                body
+            };
+
+            // 跳过未读取的内容和块对齐填充
+            await reader.skip(remaining + (Math.ceil(size / TAR_BLOCK) * TAR_BLOCK - size));
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+// 打开 .tar.gz 数据流（上传请求、本地文件），解压错误同样会在读取时抛出
+// 加密的备份按文件头识别，先用 passphrase（或设置中保存的口令）解密
+function openTarGz(input, passphrase = null) {
+    const gunzip = zlib.createGunzip();
+    const plain = Readable.from(decryptBackupStream(passphrase)(input));
+    plain.on('error', error => gunzip.destroy(error));
+    return readTarEntries(plain.pipe(gunzip));
+}
+
+async function readEntryBuffer(entry, limit) {
+    if (entry.size > limit) throw new Error(`${entry.name} 过大`);
+    const chunks = [];
+    for await (const chunk of entry.body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// =============================================
+// 加密备份（AES-256-GCM，密钥由口令经 scrypt 派生）
+// =============================================
+//
+// 加密后的备份以 .tar.gz.enc 结尾，内容是对整个 .tar.gz 加密后的容器（整数均为大端序）：
+//
+//   文件头（52 字节）
+//     0   4   魔数 "BTEC"
+//     4   1   格式版本，当前为 1
+//     5   1   scrypt 参数 log2(N)
+//     6   1   scrypt 参数 r
+//     7   1   scrypt 参数 p
+//     8   16  salt（随机）
+//     24  8   nonce 前缀（随机）
+//     32  4   明文分块大小（当前 64 KB）
+//     36  16  口令校验值：HMAC-SHA256(密钥, "baby-tracker-backup-key") 的前 16 字节
+//
+//   数据块（重复，直到标记为最后一块的块）
+//     0   1   是否最后一块（0 / 1）
+//     1   4   明文长度 n（不超过分块大小，最后一块可以为 0）
+//     5   n   密文
+//     5+n 16  GCM 认证标签
+//
+// 密钥 = scrypt(口令, salt, 32 字节)。第 i 块（从 0 开始）的 nonce 为 nonce 前缀 + i（4 字节），
+// 附加认证数据为文件头 + i（4 字节）+ 是否最后一块（1 字节），因此块被篡改、调换顺序、
+// 截断或替换成其他文件的块都会在解密时发现。最后一块之后不能再有数据。
+//
+// 口令只用于派生密钥，不写入备份；口令丢失后备份无法解密。
+
+const BACKUP_CRYPTO_MAGIC = Buffer.from('BTEC', 'latin1');
+const BACKUP_CRYPTO_VERSION = 1;
+const BACKUP_CRYPTO_HEADER_SIZE = 52;
+const BACKUP_CRYPTO_CHUNK_SIZE = 64 * 1024;
+const BACKUP_CRYPTO_MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const BACKUP_CRYPTO_TAG_SIZE = 16;
+const BACKUP_SCRYPT_PARAMS = { log2N: 15, r: 8, p: 1 };
+const BACKUP_SCRYPT_MAXMEM = 256 * 1024 * 1024; // 同时限制文件头中可接受的参数，避免构造的文件耗尽内存
+const BACKUP_KEY_CHECK = 'baby-tracker-backup-key';
+const BACKUP_PASSPHRASE_MIN_LENGTH = 8;
+
+// 缺少口令或口令错误：needPassphrase 让前端提示用户输入口令后重试
+function backupPassphraseError(message) {
+    const error = restoreError(message);
+    error.needPassphrase = true;
+    return error;
+}
+
+// 派生的密钥按口令 + salt + 参数缓存：同一次媒体库备份的 blob 共用 salt，不必每个文件都计算一次 scrypt
+const backupKeyCache = new Map();
+const BACKUP_KEY_CACHE_SIZE = 16;
+
+async function deriveBackupKey(passphrase, salt, { log2N, r, p }) {
+    const cacheKey = crypto.createHash('sha256')
+        .update(`${log2N}:${r}:${p}:${salt.toString('hex')}:`).update(passphrase, 'utf8').digest('hex');
+    const cached = backupKeyCache.get(cacheKey);
+    if (cached) return cached;
+
+    const key = await scrypt(passphrase, salt, 32, { N: 2 ** log2N, r, p, maxmem: BACKUP_SCRYPT_MAXMEM });
+    backupKeyCache.set(cacheKey, key);
+    if (backupKeyCache.size > BACKUP_KEY_CACHE_SIZE) backupKeyCache.delete(backupKeyCache.keys().next().value);
+    return key;
+}
+
+function backupKeyCheck(key) {
+    return crypto.createHmac('sha256', key).update(BACKUP_KEY_CHECK).digest().subarray(0, 16);
+}
+
+// 生成一次备份使用的加密参数（同一次备份的归档和 blob 共用，scrypt 只计算一次）
+// keyId 是口令的编号（每次修改口令时重新生成），用于区分不同口令加密的 blob
+async function createBackupCipher(passphrase, keyId) {
+    const salt = crypto.randomBytes(16);
+    const key = await deriveBackupKey(passphrase, salt, BACKUP_SCRYPT_PARAMS);
+    return { ...BACKUP_SCRYPT_PARAMS, salt, key, keyId };
+}
+
+function backupChunkNonce(header, index) {
+    const nonce = Buffer.alloc(12);
+    header.copy(nonce, 0, 24, 32);
+    nonce.writeUInt32BE(index, 8);
+    return nonce;
+}
+
+function backupChunkAad(header, index, final) {
+    const tail = Buffer.alloc(5);
+    tail.writeUInt32BE(index, 0);
+    tail[4] = final ? 1 : 0;
+    return Buffer.concat([header, tail]);
+}
+
+function sealBackupChunk(key, header, index, plaintext, final) {
+    const gcm = crypto.createCipheriv('aes-256-gcm', key, backupChunkNonce(header, index));
+    gcm.setAAD(backupChunkAad(header, index, final));
+    const prefix = Buffer.alloc(5);
+    prefix[0] = final ? 1 : 0;
+    prefix.writeUInt32BE(plaintext.length, 1);
+    return Buffer.concat([prefix, gcm.update(plaintext), gcm.final(), gcm.getAuthTag()]);
+}
+
+// 加密转换（用于 pipeline）：输入任意数据流，输出加密容器
+function encryptBackupStream(cipher) {
+    return async function* (source) {
+        const header = Buffer.alloc(BACKUP_CRYPTO_HEADER_SIZE);
+        BACKUP_CRYPTO_MAGIC.copy(header, 0);
+        header[4] = BACKUP_CRYPTO_VERSION;
+        header[5] = cipher.log2N;
+        header[6] = cipher.r;
+        header[7] = cipher.p;
+        cipher.salt.copy(header, 8);
+        crypto.randomBytes(8).copy(header, 24);
+        header.writeUInt32BE(BACKUP_CRYPTO_CHUNK_SIZE, 32);
+        backupKeyCheck(cipher.key).copy(header, 36);
+        yield header;
+
+        // 保留至少一个字节到最后一块，最后一块只有在没有任何数据时才为空
+        let index = 0;
+        let pending = Buffer.alloc(0);
+        for await (const chunk of source) {
+            pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+            while (pending.length > BACKUP_CRYPTO_CHUNK_SIZE) {
+                yield sealBackupChunk(cipher.key, header, index++, pending.subarray(0, BACKUP_CRYPTO_CHUNK_SIZE), false);
+                pending = pending.subarray(BACKUP_CRYPTO_CHUNK_SIZE);
+            }
+        }
+        yield sealBackupChunk(cipher.key, header, index, pending, true);
+    };
+}
+
+// 解密转换（用于 pipeline）
+// 依次尝试传入的口令和设置中保存的口令；optional 为 true 时不是加密容器的数据原样输出（普通 .tar.gz）
+function decryptBackupStream(passphrase, { optional = true } = {}) {
+    return async function* (source) {
+        const reader = createByteReader(source);
+        try {
+            const magic = await reader.peek(BACKUP_CRYPTO_MAGIC.length);
+            if (!magic.equals(BACKUP_CRYPTO_MAGIC)) {
+                if (!optional) throw restoreError('不是有效的加密备份文件');
+                yield* reader.rest();
+                return;
+            }
+
+            const header = Buffer.from(await reader.read(BACKUP_CRYPTO_HEADER_SIZE));
+            if (header.length < BACKUP_CRYPTO_HEADER_SIZE) throw restoreError('加密备份文件不完整');
+            if (header[4] !== BACKUP_CRYPTO_VERSION) {
+                throw restoreError(`不支持的加密备份格式版本 ${header[4]}，请先升级应用`);
+            }
+            const params = { log2N: header[5], r: header[6], p: header[7] };
+            const chunkSize = header.readUInt32BE(32);
+            if (params.log2N < 1 || params.r < 1 || params.p < 1 || 128 * 2 ** params.log2N * params.r > BACKUP_SCRYPT_MAXMEM / 2 ||
+                chunkSize < 1 || chunkSize > BACKUP_CRYPTO_MAX_CHUNK_SIZE) {
+                throw restoreError('加密备份文件头无效');
+            }
+
+            const candidates = [...new Set([passphrase, getSetting('backup_passphrase')].filter(Boolean))];
+            let key = null;
+            for (const candidate of candidates) {
+                const derived = await deriveBackupKey(candidate, header.subarray(8, 24), params);
+                if (crypto.timingSafeEqual(backupKeyCheck(derived), header.subarray(36, 52))) {
+                    key = derived;
+                    break;
+                }
+            }
+            if (!key) throw backupPassphraseError(passphrase ? '备份口令错误' : '该备份已加密，请输入备份口令');
+
+            for (let index = 0; ; index++) {
+                const prefix = await reader.read(5);
+                if (prefix.length < 5) throw restoreError('加密备份文件不完整');
+                const final = prefix[0] === 1;
+                const length = prefix.readUInt32BE(1);
+                if (prefix[0] > 1 || length > chunkSize) throw restoreError('加密备份文件已损坏');
+
+                const body = await reader.read(length + BACKUP_CRYPTO_TAG_SIZE);
+                if (body.length < length + BACKUP_CRYPTO_TAG_SIZE) throw restoreError('加密备份文件不完整');
+                const gcm = crypto.createDecipheriv('aes-256-gcm', key, backupChunkNonce(header, index));
+                gcm.setAAD(backupChunkAad(header, index, final));
+                gcm.setAuthTag(body.subarray(length));
+                let plaintext;
+                try {
+                    plaintext = Buffer.concat([gcm.update(body.subarray(0, length)), gcm.final()]);
+                } catch (e) {
+                    throw restoreError('加密备份文件已损坏或被篡改');
+                }
+                if (plaintext.length > 0) yield plaintext;
+                if (final) break;
+            }
+            if ((await reader.peek(1)).length > 0) throw restoreError('加密备份文件末尾有多余数据');
+        } finally {
+            await reader.close();
+        }
+    };
+}
+
+// 文件是否为加密容器（只读取文件头）
+async function isEncryptedBackupFile(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(BACKUP_CRYPTO_MAGIC.length), 0, BACKUP_CRYPTO_MAGIC.length, 0);
+        return bytesRead === BACKUP_CRYPTO_MAGIC.length && buffer.equals(BACKUP_CRYPTO_MAGIC);
+    } finally {
+        await handle.close();
+    }
+}
+
+// --- API Routes ---
+
+app.get('/api/status', (req, res) => res.json({ status: 'ok' }));
+
+// 1. Baby Info
+
+// 解析请求所选的宝宝：?baby_id= 或 X-Baby-Id header，未指定时默认第一个宝宝
+function resolveBabyId(req) {
+    const requested = req.query.baby_id || req.headers['x-baby-id'];
+    if (requested) {
+        const baby = db.prepare('SELECT id FROM baby WHERE id = ?').get(parseInt(requested));
+        return baby ? baby.id : null;
+    }
+    const first = db.prepare('SELECT id FROM baby ORDER BY id LIMIT 1').get();
+    return first ? first.id : null;
+}
+
+// 宝宝相关路由统一注入 req.babyId
+const requireBaby = (req, res, next) => {
+    const babyId = resolveBabyId(req);
+    if (!babyId) {
+        return res.status(404).json({ error: '宝宝档案不存在' });
+    }
+    req.babyId = babyId;
+    next();
+};
+
+// 宝宝列表
+app.get('/api/babies', (req, res) => {
+    const babies = db.prepare('SELECT * FROM baby ORDER BY id').all();
+    res.json(babies);
+});
+
+// 新增宝宝
+app.post('/api/babies', (req, res) => {
+    const { name, birthDate, gender, bloodType } = req.body;
+
+    if (!name || name.trim().length === 0) {
+        return res.status(400).json({ error: '宝宝昵称不能为空' });
+    }
+
+    const info = db.prepare('INSERT INTO baby (name, birthDate, gender, bloodType) VALUES (?, ?, ?, ?)')
+        .run(name.trim(), birthDate || new Date().toISOString().split('T')[0], gender || 'male', bloodType || '');
+
+    console.log(`[宝宝] 已添加: ${name.trim()}`);
+    res.json({ success: true, id: info.lastInsertRowid });
+});
+
+// 删除宝宝（连同其成长记录）
+app.delete('/api/babies/:id', (req, res) => {
+    const baby = db.prepare('SELECT * FROM baby WHERE id = ?').get(req.params.id);
+    if (!baby) {
+        return res.status(404).json({ error: '宝宝档案不存在' });
+    }
+
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM baby').get();
+    if (count <= 1) {
+        return res.status(400).json({ error: '至少需要保留一个宝宝档案' });
+    }
+
+    db.transaction(() => {
+        db.prepare('DELETE FROM records WHERE baby_id = ?').run(baby.id);
+        db.prepare('DELETE FROM events WHERE baby_id = ?').run(baby.id);
+        db.prepare('DELETE FROM sleeps WHERE baby_id = ?').run(baby.id);
+        db.prepare('DELETE FROM baby WHERE id = ?').run(baby.id);
+    })();
+
+    console.log(`[宝宝] 已删除: ${baby.name}`);
+    res.json({ success: true });
+});
+
+app.use(['/api/baby', '/api/records', '/api/events', '/api/sleeps'], requireBaby);
+
+app.get('/api/baby', (req, res) => {
+    const baby = db.prepare('SELECT * FROM baby WHERE id = ?').get(req.babyId);
+    res.json(baby);
+});
+
+app.post('/api/baby', (req, res) => {
+    const { name, birthDate, gender, bloodType } = req.body;
+    db.prepare('UPDATE baby SET name = ?, birthDate = ?, gender = ?, bloodType = ? WHERE id = ?')
+        .run(name, birthDate, gender, bloodType, req.babyId);
+    res.json({ success: true });
+});
+
+// 上传宝宝头像 (base64)
+app.post('/api/baby/avatar', (req, res) => {
+    const { avatar } = req.body;
+
+    if (!avatar) {
+        return res.status(400).json({ error: '头像数据不能为空' });
+    }
+
+    // 验证 base64 图片格式
+    if (!avatar.startsWith('data:image/')) {
+        return res.status(400).json({ error: '无效的图片格式' });
+    }
+
+    // 限制图片大小 (约 2MB base64)
+    if (avatar.length > 2 * 1024 * 1024 * 1.37) {
+        return res.status(400).json({ error: '图片大小不能超过 2MB' });
+    }
+
+    db.prepare('UPDATE baby SET avatar = ? WHERE id = ?').run(avatar, req.babyId);
+    res.json({ success: true });
+});
 
 // 删除宝宝头像
 app.delete('/api/baby/avatar', (req, res) => {
-    db.prepare('UPDATE baby SET avatar = NULL WHERE id = 1').run();
+    db.prepare('UPDATE baby SET avatar = NULL WHERE id = ?').run(req.babyId);
     res.json({ success: true });
 });
 
 // 2. Growth Records
 app.get('/api/records', (req, res) => {
-    const records = db.prepare('SELECT * FROM records ORDER BY date DESC').all();
+    const records = db.prepare('SELECT * FROM records WHERE baby_id = ? ORDER BY date DESC').all(req.babyId);
     res.json(records);
 });
 
 app.post('/api/records', (req, res) => {
-    const { date, time, height, weight, head, milk_amount, poop, pee, note, mediaIds } = req.body;
-    const info = db.prepare('INSERT INTO records (date, time, height, weight, head, milk_amount, poop, pee, note, mediaIds) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)')
-        .run(date, time || '', height, weight, head, milk_amount || 0, poop || '', pee || '', note, mediaIds || '');
+    const { date, time, height, weight, head, note, mediaIds } = req.body;
+    const info = db.prepare('INSERT INTO records (baby_id, date, time, height, weight, head, note, mediaIds, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+        .run(req.babyId, date, time || '', height, weight, head, note, mediaIds || '', actorName(req));
     res.json({ id: info.lastInsertRowid });
 });
 
 app.put('/api/records/:id', (req, res) => {
-    const { date, time, height, weight, head, milk_amount, poop, pee, note, mediaIds } = req.body;
-    db.prepare('UPDATE records SET date=?, time=?, height=?, weight=?, head=?, milk_amount=?, poop=?, pee=?, note=?, mediaIds=? WHERE id=?')
-        .run(date, time || '', height, weight, head, milk_amount || 0, poop || '', pee || '', note, mediaIds || '', req.params.id);
+    const { date, time, height, weight, head, note, mediaIds } = req.body;
+    db.prepare('UPDATE records SET date=?, time=?, height=?, weight=?, head=?, note=?, mediaIds=? WHERE id=? AND baby_id=?')
+        .run(date, time || '', height, weight, head, note, mediaIds || '', req.params.id, req.babyId);
     res.json({ success: true });
 });
 
 app.delete('/api/records/:id', (req, res) => {
-    db.prepare('DELETE FROM records WHERE id = ?').run(req.params.id);
+    db.prepare('DELETE FROM records WHERE id = ? AND baby_id = ?').run(req.params.id, req.babyId);
     res.json({ success: true });
 });
 
 // =============================================
-// 2.5 API Token 管理
+// 2.1 生长标准（WHO 百分位 / Z 分数）
 // =============================================
 
-// 获取所有 Token 列表（不返回完整 token，只返回前缀）
-app.get('/api/tokens', (req, res) => {
-    // 只有 Session 认证（Web 管理员）才能管理 Token
-    if (req.authType !== 'session') {
-        return res.status(403).json({ error: 'Token 管理仅限 Web 管理员' });
+// WHO 儿童生长标准（2006）LMS 参数，月龄 0-60 每月一行 [L, M, S]
+// 0-24 月为卧位身长，24 月起为立位身高
+// 数据来源：WHO Child Growth Standards 按月 Z 分数表（https://www.who.int/tools/child-growth-standards/standards）
+//   身长/身高 tab_lhfa_boys_z_0_2 / tab_lhfa_boys_z_2_5（女孩为 girls），体重 tab_wfa_boys_z_0_5 / tab_wfa_girls_z_0_5，
+//   头围 tab_hcfa_boys_z_0_5 / tab_hcfa_girls_z_0_5
+const WHO_LMS = {
+    male: {
+        // 身长/身高 length/height-for-age
+        height: [
+            [1, 49.8842, 0.03795], [1, 54.7244, 0.03557], [1, 58.4249, 0.03424], [1, 61.4292, 0.03328],
+            [1, 63.886, 0.03257], [1, 65.9026, 0.03204], [1, 67.6236, 0.03165], [1, 69.1645, 0.03139],
+            [1, 70.5994, 0.03124], [1, 71.9687, 0.03117], [1, 73.2812, 0.03118], [1, 74.5388, 0.03125],
+            [1, 75.7488, 0.03137], [1, 76.9186, 0.03154], [1, 78.0497, 0.03174], [1, 79.1458, 0.03197],
+            [1, 80.2113, 0.03222], [1, 81.2487, 0.0325], [1, 82.2587, 0.03279], [1, 83.2418, 0.0331],
+            [1, 84.1996, 0.03342], [1, 85.1348, 0.03376], [1, 86.0477, 0.0341], [1, 86.941, 0.03445],
+            [1, 87.1161, 0.03507], [1, 87.972, 0.03542], [1, 88.8065, 0.03576], [1, 89.6197, 0.0361],
+            [1, 90.412, 0.03642], [1, 91.1828, 0.03674], [1, 91.9327, 0.03704], [1, 92.6631, 0.03733],
+            [1, 93.3753, 0.03761], [1, 94.0711, 0.03787], [1, 94.7532, 0.03812], [1, 95.4236, 0.03836],
+            [1, 96.0835, 0.03858], [1, 96.7337, 0.03879], [1, 97.3749, 0.039], [1, 98.0073, 0.03919],
+            [1, 98.631, 0.03937], [1, 99.2459, 0.03954], [1, 99.8515, 0.03971], [1, 100.4485, 0.03986],
+            [1, 101.0374, 0.04002], [1, 101.6186, 0.04016], [1, 102.1933, 0.04031], [1, 102.7625, 0.04045],
+            [1, 103.3273, 0.04059], [1, 103.8886, 0.04073], [1, 104.4473, 0.04086], [1, 105.0041, 0.041],
+            [1, 105.5596, 0.04113], [1, 106.1138, 0.04126], [1, 106.6668, 0.04139], [1, 107.2188, 0.04152],
+            [1, 107.7697, 0.04165], [1, 108.3198, 0.04177], [1, 108.8689, 0.0419], [1, 109.417, 0.04202],
+            [1, 109.9638, 0.04214]
+        ],
+        // 体重 weight-for-age
+        weight: [
+            [0.3487, 3.3464, 0.14602], [0.2297, 4.4709, 0.13395], [0.197, 5.5675, 0.12385], [0.1738, 6.3762, 0.11727],
+            [0.1553, 7.0023, 0.11316], [0.1395, 7.5105, 0.1108], [0.1257, 7.934, 0.10958], [0.1134, 8.297, 0.10902],
+            [0.1021, 8.6151, 0.10882], [0.0917, 8.9014, 0.10881], [0.082, 9.1649, 0.10891], [0.073, 9.4122, 0.10906],
+            [0.0644, 9.6479, 0.10925], [0.0563, 9.8749, 0.10949], [0.0487, 10.0953, 0.10976], [0.0413, 10.3108, 0.11007],
+            [0.0343, 10.5228, 0.11041], [0.0275, 10.7319, 0.11079], [0.0211, 10.9385, 0.11119], [0.0148, 11.143, 0.11164],
+            [0.0087, 11.3462, 0.11211], [0.0029, 11.5486, 0.11261], [-0.0028, 11.7504, 0.11314], [-0.0083, 11.9514, 0.11369],
+            [-0.0137, 12.1515, 0.11426], [-0.0189, 12.3502, 0.11485], [-0.024, 12.5466, 0.11544], [-0.0289, 12.7401, 0.11604],
+            [-0.0337, 12.9303, 0.11664], [-0.0385, 13.1169, 0.11723], [-0.0431, 13.3, 0.11781], [-0.0476, 13.4798, 0.11839],
+            [-0.052, 13.6567, 0.11896], [-0.0564, 13.8309, 0.11953], [-0.0606, 14.0031, 0.12008], [-0.0648, 14.1736, 0.12062],
+            [-0.0689, 14.3429, 0.12116], [-0.0729, 14.5113, 0.12168], [-0.0769, 14.6791, 0.1222], [-0.0808, 14.8466, 0.12271],
+            [-0.0846, 15.014, 0.12322], [-0.0883, 15.1813, 0.12373], [-0.092, 15.3486, 0.12425], [-0.0957, 15.5158, 0.12478],
+            [-0.0993, 15.6828, 0.12531], [-0.1028, 15.8497, 0.12586], [-0.1063, 16.0163, 0.12643], [-0.1097, 16.1827, 0.127],
+            [-0.1131, 16.3489, 0.12759], [-0.1165, 16.515, 0.12819], [-0.1198, 16.6811, 0.1288], [-0.123, 16.8471, 0.12943],
+            [-0.1262, 17.0132, 0.13005], [-0.1294, 17.1792, 0.13069], [-0.1325, 17.3452, 0.13133], [-0.1356, 17.5111, 0.13197],
+            [-0.1387, 17.6768, 0.13261], [-0.1417, 17.8422, 0.13325], [-0.1447, 18.0073, 0.13389], [-0.1477, 18.1722, 0.13453],
+            [-0.1506, 18.3366, 0.13517]
+        ],
+        // 头围 head-circumference-for-age
+        head: [
+            [1, 34.4618, 0.03686], [1, 37.2759, 0.03133], [1, 39.1285, 0.02997], [1, 40.5135, 0.02918],
+            [1, 41.6317, 0.02868], [1, 42.5576, 0.02837], [1, 43.3306, 0.02817], [1, 43.9803, 0.02804],
+            [1, 44.53, 0.02796], [1, 44.9998, 0.02792], [1, 45.4051, 0.0279], [1, 45.7573, 0.02789],
+            [1, 46.0661, 0.02789], [1, 46.3395, 0.02789], [1, 46.5844, 0.02791], [1, 46.806, 0.02792],
+            [1, 47.0088, 0.02795], [1, 47.1962, 0.02797], [1, 47.3711, 0.028], [1, 47.5357, 0.02803],
+            [1, 47.6919, 0.02806], [1, 47.8408, 0.0281], [1, 47.9833, 0.02813], [1, 48.1201, 0.02817],
+            [1, 48.2515, 0.02821], [1, 48.3777, 0.02825], [1, 48.4989, 0.0283], [1, 48.6151, 0.02834],
+            [1, 48.7264, 0.02838], [1, 48.8331, 0.02842], [1, 48.9351, 0.02847], [1, 49.0327, 0.02851],
+            [1, 49.126, 0.02855], [1, 49.2153, 0.02859], [1, 49.3007, 0.02863], [1, 49.3826, 0.02867],
+            [1, 49.4612, 0.02871], [1, 49.5367, 0.02875], [1, 49.6093, 0.02878], [1, 49.6791, 0.02882],
+            [1, 49.7465, 0.02886], [1, 49.8116, 0.02889], [1, 49.8745, 0.02893], [1, 49.9354, 0.02896],
+            [1, 49.9942, 0.02899], [1, 50.0512, 0.02903], [1, 50.1064, 0.02906], [1, 50.1598, 0.02909],
+            [1, 50.2115, 0.02912], [1, 50.2617, 0.02915], [1, 50.3105, 0.02918], [1, 50.3578, 0.02921],
+            [1, 50.4039, 0.02924], [1, 50.4488, 0.02927], [1, 50.4926, 0.02929], [1, 50.5354, 0.02932],
+            [1, 50.5772, 0.02935], [1, 50.6183, 0.02938], [1, 50.6587, 0.0294], [1, 50.6984, 0.02943],
+            [1, 50.7375, 0.02946]
+        ]
+    },
+    female: {
+        // 身长/身高 length/height-for-age
+        height: [
+            [1, 49.1477, 0.0379], [1, 53.6872, 0.0364], [1, 57.0673, 0.03568], [1, 59.8029, 0.0352],
+            [1, 62.0899, 0.03486], [1, 64.0301, 0.03463], [1, 65.7311, 0.03448], [1, 67.2873, 0.03441],
+            [1, 68.7498, 0.0344], [1, 70.1435, 0.03444], [1, 71.4818, 0.03452], [1, 72.771, 0.03464],
+            [1, 74.015, 0.03479], [1, 75.2176, 0.03496], [1, 76.3817, 0.03514], [1, 77.5099, 0.03534],
+            [1, 78.6055, 0.03555], [1, 79.671, 0.03576], [1, 80.7079, 0.03598], [1, 81.7182, 0.0362],
+            [1, 82.7036, 0.03643], [1, 83.6654, 0.03666], [1, 84.604, 0.03688], [1, 85.5202, 0.03711],
+            [1, 85.7153, 0.03764], [1, 86.5904, 0.03786], [1, 87.4462, 0.03808], [1, 88.283, 0.0383],
+            [1, 89.1004, 0.03851], [1, 89.8991, 0.03872], [1, 90.6797, 0.03893], [1, 91.443, 0.03913],
+            [1, 92.1906, 0.03933], [1, 92.9239, 0.03952], [1, 93.6444, 0.03971], [1, 94.3533, 0.03989],
+            [1, 95.0515, 0.04006], [1, 95.7399, 0.04024], [1, 96.4187, 0.04041], [1, 97.0885, 0.04057],
+            [1, 97.7493, 0.04073], [1, 98.4015, 0.04089], [1, 99.0448, 0.04105], [1, 99.6795, 0.0412],
+            [1, 100.3058, 0.04135], [1, 100.9238, 0.0415], [1, 101.5337, 0.04164], [1, 102.136, 0.04179],
+            [1, 102.7312, 0.04193], [1, 103.3197, 0.04206], [1, 103.9021, 0.0422], [1, 104.4786, 0.04233],
+            [1, 105.0494, 0.04246], [1, 105.6148, 0.04259], [1, 106.1748, 0.04272], [1, 106.7295, 0.04285],
+            [1, 107.2788, 0.04298], [1, 107.8227, 0.0431], [1, 108.3613, 0.04322], [1, 108.8948, 0.04334],
+            [1, 109.4233, 0.04347]
+        ],
+        // 体重 weight-for-age
+        weight: [
+            [0.3809, 3.2322, 0.14171], [0.1714, 4.1873, 0.13724], [0.0962, 5.1282, 0.13], [0.0402, 5.8458, 0.12619],
+            [-0.005, 6.4237, 0.12402], [-0.043, 6.8985, 0.12274], [-0.0756, 7.297, 0.12204], [-0.1039, 7.6422, 0.12178],
+            [-0.1288, 7.9487, 0.12181], [-0.1507, 8.2254, 0.12199], [-0.17, 8.48, 0.12223], [-0.1872, 8.7192, 0.12247],
+            [-0.2024, 8.9481, 0.12268], [-0.2158, 9.1699, 0.12283], [-0.2278, 9.387, 0.12294], [-0.2384, 9.6008, 0.12299],
+            [-0.2478, 9.8124, 0.12303], [-0.2562, 10.0226, 0.12306], [-0.2637, 10.2315, 0.12309], [-0.2703, 10.4393, 0.12315],
+            [-0.2762, 10.6464, 0.12323], [-0.2815, 10.8534, 0.12335], [-0.2862, 11.0608, 0.1235], [-0.2903, 11.2688, 0.12369],
+            [-0.2941, 11.4775, 0.1239], [-0.2975, 11.6864, 0.12414], [-0.3005, 11.8947, 0.12441], [-0.3032, 12.1015, 0.12472],
+            [-0.3057, 12.3059, 0.12506], [-0.308, 12.5073, 0.12545], [-0.3101, 12.7055, 0.12587], [-0.312, 12.9006, 0.12633],
+            [-0.3138, 13.093, 0.12683], [-0.3155, 13.2837, 0.12737], [-0.3171, 13.4731, 0.12794], [-0.3186, 13.6618, 0.12855],
+            [-0.3201, 13.8503, 0.12919], [-0.3216, 14.0385, 0.12988], [-0.323, 14.2265, 0.13059], [-0.3243, 14.414, 0.13135],
+            [-0.3257, 14.601, 0.13213], [-0.327, 14.7873, 0.13293], [-0.3283, 14.9727, 0.13376], [-0.3296, 15.1573, 0.1346],
+            [-0.3309, 15.341, 0.13545], [-0.3322, 15.524, 0.1363], [-0.3335, 15.7064, 0.13716], [-0.3348, 15.8882, 0.138],
+            [-0.3361, 16.0697, 0.13884], [-0.3374, 16.2511, 0.13968], [-0.3387, 16.4322, 0.14051], [-0.34, 16.6133, 0.14132],
+            [-0.3414, 16.7942, 0.14213], [-0.3427, 16.9748, 0.14293], [-0.344, 17.1551, 0.14371], [-0.3453, 17.3347, 0.14448],
+            [-0.3466, 17.5136, 0.14525], [-0.3479, 17.6916, 0.146], [-0.3492, 17.8686, 0.14675], [-0.3505, 18.0445, 0.14748],
+            [-0.3518, 18.2193, 0.14821]
+        ],
+        // 头围 head-circumference-for-age
+        head: [
+            [1, 33.8787, 0.03496], [1, 36.5463, 0.0321], [1, 38.2521, 0.03168], [1, 39.5328, 0.0314],
+            [1, 40.5817, 0.03119], [1, 41.459, 0.03102], [1, 42.1995, 0.03087], [1, 42.829, 0.03075],
+            [1, 43.3671, 0.03063], [1, 43.83, 0.03053], [1, 44.2319, 0.03044], [1, 44.5844, 0.03035],
+            [1, 44.8965, 0.03027], [1, 45.1752, 0.03019], [1, 45.4265, 0.03012], [1, 45.6551, 0.03006],
+            [1, 45.865, 0.02999], [1, 46.0598, 0.02993], [1, 46.2424, 0.02987], [1, 46.4152, 0.02982],
+            [1, 46.5801, 0.02977], [1, 46.7384, 0.02972], [1, 46.8913, 0.02967], [1, 47.0391, 0.02962],
+            [1, 47.1822, 0.02957], [1, 47.3204, 0.02953], [1, 47.4536, 0.02949], [1, 47.5817, 0.02945],
+            [1, 47.7045, 0.02941], [1, 47.8219, 0.02937], [1, 47.934, 0.02933], [1, 48.041, 0.02929],
+            [1, 48.1432, 0.02926], [1, 48.2408, 0.02922], [1, 48.3343, 0.02919], [1, 48.4239, 0.02915],
+            [1, 48.5099, 0.02912], [1, 48.5926, 0.02909], [1, 48.6722, 0.02906], [1, 48.7489, 0.02903],
+            [1, 48.8228, 0.029], [1, 48.8941, 0.02897], [1, 48.9629, 0.02894], [1, 49.0294, 0.02891],
+            [1, 49.0937, 0.02888], [1, 49.156, 0.02886], [1, 49.2164, 0.02883], [1, 49.2751, 0.0288],
+            [1, 49.3321, 0.02878], [1, 49.3877, 0.02875], [1, 49.4419, 0.02873], [1, 49.4947, 0.0287],
+            [1, 49.5464, 0.02868], [1, 49.5969, 0.02865], [1, 49.6464, 0.02863], [1, 49.6947, 0.02861],
+            [1, 49.7421, 0.02859], [1, 49.7885, 0.02856], [1, 49.8341, 0.02854], [1, 49.8789, 0.02852],
+            [1, 49.9229, 0.0285]
+        ]
     }
+};
 
-    const tokens = db.prepare(
-        'SELECT id, name, permission, created_at, expires_at, last_used_at, is_active FROM api_tokens ORDER BY created_at DESC'
-    ).all();
+// 百分位带对应的 Z 分数
+const GROWTH_BANDS = [
+    { key: 'p3', z: -1.88079 },
+    { key: 'p15', z: -1.03643 },
+    { key: 'p50', z: 0 },
+    { key: 'p85', z: 1.03643 },
+    { key: 'p97', z: 1.88079 }
+];
+const GROWTH_INDICATORS = ['height', 'weight', 'head'];
+const DAYS_PER_MONTH = 30.4375;
+
+// 计算测量日的月龄（小数），出生日期或测量日期无效时返回 null
+function ageInMonths(birthDate, date) {
+    if (!birthDate || !date) return null;
+    const months = (new Date(date) - new Date(birthDate)) / (24 * 60 * 60 * 1000) / DAYS_PER_MONTH;
+    return Number.isFinite(months) ? months : null;
+}
 
-    // 返回时隐藏完整 token
-    res.json(tokens.map(t => ({
-        ...t,
-        token_preview: 'baby_****' + t.id  // 不显示完整 token
-    })));
-});
+// 按月龄线性插值 LMS 参数，超出 0-60 月返回 null
+function getLms(gender, indicator, months) {
+    const table = WHO_LMS[gender === 'female' ? 'female' : 'male'][indicator];
+    if (months < 0 || months > table.length - 1) return null;
 
-// 创建新 Token
-app.post('/api/tokens', (req, res) => {
-    if (req.authType !== 'session') {
-        return res.status(403).json({ error: 'Token 管理仅限 Web 管理员' });
-    }
+    const lower = Math.floor(months);
+    const upper = Math.min(lower + 1, table.length - 1);
+    const t = months - lower;
+    const [L, M, S] = table[lower].map((v, i) => v + (table[upper][i] - v) * t);
+    return { L, M, S };
+}
 
-    const { name, permission = 'read', expires_in = 0 } = req.body;
+// 指定 Z 分数对应的测量值
+function lmsValue({ L, M, S }, z) {
+    return L === 0 ? M * Math.exp(S * z) : M * Math.pow(1 + L * S * z, 1 / L);
+}
 
-    if (!name || name.trim().length === 0) {
-        return res.status(400).json({ error: 'Token 名称不能为空' });
-    }
+// 测量值对应的 Z 分数，|z| > 3 时按 WHO 推荐方法修正偏态指标（如体重）
+function lmsZScore(value, lms) {
+    const { L, M, S } = lms;
+    let z = L === 0 ? Math.log(value / M) / S : (Math.pow(value / M, L) - 1) / (L * S);
 
-    if (!['read', 'write'].includes(permission)) {
-        return res.status(400).json({ error: '权限类型无效，只能是 read 或 write' });
+    if (L !== 1 && Math.abs(z) > 3) {
+        const sign = Math.sign(z);
+        const sd3 = lmsValue(lms, sign * 3);
+        const sd23 = Math.abs(sd3 - lmsValue(lms, sign * 2));
+        z = sign * 3 + (value - sd3) / sd23;
     }
+    return z;
+}
 
-    const token = generateApiToken();
+// 标准正态分布累积概率（Abramowitz-Stegun 近似）
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
 
-    // 计算过期时间
-    let expiresAt = null;
-    if (expires_in > 0) {
-        const expireDate = new Date();
-        expireDate.setDate(expireDate.getDate() + expires_in);
-        expiresAt = expireDate.toISOString();
-    }
+app.use('/api/growth', requireBaby);
 
-    try {
-        const info = db.prepare(
-            'INSERT INTO api_tokens (name, token, permission, expires_at) VALUES (?, ?, ?, ?)'
-        ).run(name.trim(), token, permission, expiresAt);
+// 每条记录的百分位与 Z 分数
+app.get('/api/growth/percentiles', (req, res) => {
+    const baby = db.prepare('SELECT * FROM baby WHERE id = ?').get(req.babyId);
+    if (!baby.birthDate || isNaN(new Date(baby.birthDate))) {
+        return res.status(400).json({ error: '请先设置宝宝的出生日期' });
+    }
+    const records = db.prepare(
+        'SELECT id, date, height, weight, head FROM records WHERE baby_id = ? AND (height > 0 OR weight > 0 OR head > 0) ORDER BY date'
+    ).all(req.babyId);
+
+    const result = records.map(r => {
+        const months = ageInMonths(baby.birthDate, r.date);
+        const item = { id: r.id, date: r.date, ageMonths: months === null ? null : Math.round(months * 100) / 100 };
+
+        GROWTH_INDICATORS.forEach(indicator => {
+            const lms = r[indicator] > 0 && months !== null ? getLms(baby.gender, indicator, months) : null;
+            if (!lms) {
+                item[indicator] = null;
+                return;
+            }
+            const z = lmsZScore(r[indicator], lms);
+            item[indicator] = {
+                value: r[indicator],
+                z: Math.round(z * 100) / 100,
+                percentile: Math.round(normalCdf(z) * 1000) / 10
+            };
+        });
+        return item;
+    });
 
-        const expiresDesc = expires_in > 0 ? `${expires_in}天后过期` : '永久有效';
-        console.log(`[API Token] 已创建: ${name} (${permission}, ${expiresDesc})`);
+    res.json({ standard: 'WHO 2006', gender: baby.gender, records: result });
+});
 
-        // 只在创建时返回完整 token，之后无法再获取
-        res.json({
-            success: true,
-            id: info.lastInsertRowid,
-            name: name.trim(),
-            token: token,  // 仅此一次显示完整 token
-            permission,
-            expires_at: expiresAt,
-            message: '⚠️ 请立即保存此 Token，关闭后将无法再次查看完整内容'
+// P3/P15/P50/P85/P97 参考曲线（按月龄 0-60）
+app.get('/api/growth/bands', (req, res) => {
+    const baby = db.prepare('SELECT gender FROM baby WHERE id = ?').get(req.babyId);
+
+    const bands = {};
+    GROWTH_INDICATORS.forEach(indicator => {
+        bands[indicator] = WHO_LMS.male[indicator].map((_, month) => {
+            const lms = getLms(baby.gender, indicator, month);
+            const row = { age: month };
+            GROWTH_BANDS.forEach(({ key, z }) => {
+                row[key] = Math.round(lmsValue(lms, z) * 100) / 100;
+            });
+            return row;
         });
-    } catch (error) {
-        console.error('[API Token] 创建失败:', error.message);
-        res.status(500).json({ error: '创建 Token 失败: ' + error.message });
-    }
+    });
+
+    res.json({ standard: 'WHO 2006', gender: baby.gender, bands });
 });
 
-// 更新 Token 状态（启用/禁用）
-app.put('/api/tokens/:id', (req, res) => {
-    if (req.authType !== 'session') {
-        return res.status(403).json({ error: 'Token 管理仅限 Web 管理员' });
-    }
+// =============================================
+// 2.2 喂养 / 排泄事件
+// =============================================
 
-    const { is_active, name, permission } = req.body;
-    const tokenId = req.params.id;
+const EVENT_TYPES = {
+    bottle: '奶瓶',
+    breast: '亲喂',
+    solid: '辅食',
+    diaper: '尿布',
+    medication: '用药'
+};
+const BREAST_SIDES = ['left', 'right', 'both'];
 
-    // 检查 token 是否存在
-    const existing = db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(tokenId);
-    if (!existing) {
+// 按事件类型校验并整理字段，返回 { error } 或可写入的字段
+function normalizeEvent(body) {
+    const { type, date, time, amount, side, duration, name, dose, poop, pee, note } = body;
+
+    if (!EVENT_TYPES[type]) {
+        return { error: '未知的事件类型' };
+    }
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return { error: '请填写有效的日期' };
+    }
+
+    const event = {
+        type, date, time: time || '',
+        amount: null, side: null, duration: null, name: null, dose: null,
+        poop: '', pee: '', note: note || ''
+    };
+
+    switch (type) {
+        case 'bottle':
+            if (!(parseFloat(amount) > 0)) return { error: '请填写奶量' };
+            event.amount = parseFloat(amount);
+            break;
+        case 'breast':
+            if (!BREAST_SIDES.includes(side)) return { error: '请选择喂奶侧' };
+            if (!(parseInt(duration) > 0)) return { error: '请填写喂奶时长' };
+            event.side = side;
+            event.duration = parseInt(duration);
+            break;
+        case 'solid':
+            if (!name || !name.trim()) return { error: '请填写辅食名称' };
+            event.name = name.trim();
+            event.amount = parseFloat(amount) > 0 ? parseFloat(amount) : null;
+            break;
+        case 'diaper':
+            if (!poop && !pee) return { error: '请至少记录大便或小便' };
+            event.poop = poop || '';
+            event.pee = pee || '';
+            break;
+        case 'medication':
+            if (!name || !name.trim()) return { error: '请填写药品名称' };
+            event.name = name.trim();
+            event.dose = dose || '';
+            break;
+    }
+    return { event };
+}
+
+// 事件列表，可按 ?date= 或 ?from=&to= 及 ?type= 过滤
+app.get('/api/events', (req, res) => {
+    const { date, from, to, type } = req.query;
+    const conditions = ['baby_id = ?'];
+    const params = [req.babyId];
+
+    if (date) {
+        conditions.push('date = ?');
+        params.push(date);
+    }
+    if (from) {
+        conditions.push('date >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('date <= ?');
+        params.push(to);
+    }
+    if (type) {
+        conditions.push('type = ?');
+        params.push(type);
+    }
+
+    const events = db.prepare(
+        `SELECT * FROM events WHERE ${conditions.join(' AND ')} ORDER BY date DESC, time DESC`
+    ).all(...params);
+    res.json(events);
+});
+
+app.post('/api/events', (req, res) => {
+    const { event, error } = normalizeEvent(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const info = db.prepare(
+        'INSERT INTO events (baby_id, type, date, time, amount, side, duration, name, dose, poop, pee, note, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    ).run(req.babyId, event.type, event.date, event.time, event.amount, event.side, event.duration,
+        event.name, event.dose, event.poop, event.pee, event.note, actorName(req));
+    res.json({ id: info.lastInsertRowid });
+});
+
+app.put('/api/events/:id', (req, res) => {
+    const { event, error } = normalizeEvent(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const info = db.prepare(
+        'UPDATE events SET type=?, date=?, time=?, amount=?, side=?, duration=?, name=?, dose=?, poop=?, pee=?, note=? WHERE id=? AND baby_id=?'
+    ).run(event.type, event.date, event.time, event.amount, event.side, event.duration,
+        event.name, event.dose, event.poop, event.pee, event.note, req.params.id, req.babyId);
+    if (info.changes === 0) {
+        return res.status(404).json({ error: '事件不存在' });
+    }
+    res.json({ success: true });
+});
+
+app.delete('/api/events/:id', (req, res) => {
+    db.prepare('DELETE FROM events WHERE id = ? AND baby_id = ?').run(req.params.id, req.babyId);
+    res.json({ success: true });
+});
+
+// =============================================
+// 2.3 睡眠记录
+// =============================================
+
+// 入睡时间落在 19:00 - 次日 07:00 视为夜间睡眠，其余为小睡
+const NIGHT_START_HOUR = 19;
+const NIGHT_END_HOUR = 7;
+
+// 本地日期 YYYY-MM-DD
+function formatLocalDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// 本地日期当天 00:00 与次日 00:00
+function localDayBounds(date) {
+    const start = new Date(`${date}T00:00:00`);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { start, end };
+}
+
+function isNightSleep(startAt) {
+    const hour = new Date(startAt).getHours();
+    return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+}
+
+// 解析时间参数为 ISO 字符串，无效时返回 null
+function parseSleepTime(value) {
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// 查询与 [from, to] 日期区间有交集的睡眠（含进行中的睡眠）
+function getSleepsInRange(babyId, from, to) {
+    const rangeStart = localDayBounds(from).start.toISOString();
+    const rangeEnd = localDayBounds(to).end.toISOString();
+    return db.prepare(
+        'SELECT * FROM sleeps WHERE baby_id = ? AND start_at < ? AND (end_at IS NULL OR end_at > ?) ORDER BY start_at'
+    ).all(babyId, rangeEnd, rangeStart);
+}
+
+// 按天汇总睡眠分钟数，跨午夜的睡眠按实际时长拆分到两天
+function summarizeSleeps(sleeps, from, to) {
+    const days = [];
+    for (let d = localDayBounds(from).start; formatLocalDate(d) <= to; d.setDate(d.getDate() + 1)) {
+        days.push({ date: formatLocalDate(d), napMinutes: 0, nightMinutes: 0, count: 0 });
+    }
+
+    const now = new Date();
+    sleeps.forEach(sleep => {
+        const start = new Date(sleep.start_at);
+        const end = sleep.end_at ? new Date(sleep.end_at) : now;
+        const key = isNightSleep(sleep.start_at) ? 'nightMinutes' : 'napMinutes';
+
+        days.forEach(day => {
+            const bounds = localDayBounds(day.date);
+            const overlap = Math.min(end, bounds.end) - Math.max(start, bounds.start);
+            if (overlap > 0) {
+                day[key] += Math.round(overlap / 60000);
+                if (start >= bounds.start && start < bounds.end) day.count++;
+            }
+        });
+    });
+
+    days.forEach(day => {
+        day.totalMinutes = day.napMinutes + day.nightMinutes;
+    });
+    return days;
+}
+
+// 当前是否在睡觉
+function getCurrentSleep(babyId) {
+    return db.prepare('SELECT * FROM sleeps WHERE baby_id = ? AND end_at IS NULL ORDER BY start_at DESC LIMIT 1').get(babyId);
+}
+
+// 睡眠列表，?date= 或 ?from=&to=，默认今天
+app.get('/api/sleeps', (req, res) => {
+    const from = req.query.date || req.query.from || formatLocalDate(new Date());
+    const to = req.query.date || req.query.to || from;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+        return res.status(400).json({ error: '日期范围无效' });
+    }
+    res.json(getSleepsInRange(req.babyId, from, to));
+});
+
+// 每日小睡/夜睡汇总
+app.get('/api/sleeps/summary', (req, res) => {
+    const from = req.query.date || req.query.from || formatLocalDate(new Date());
+    const to = req.query.date || req.query.to || from;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+        return res.status(400).json({ error: '日期范围无效' });
+    }
+    if (new Date(to) - new Date(from) > 366 * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ error: '最多汇总一年的睡眠数据' });
+    }
+    res.json(summarizeSleeps(getSleepsInRange(req.babyId, from, to), from, to));
+});
+
+// 当前睡眠状态
+app.get('/api/sleeps/current', (req, res) => {
+    const sleep = getCurrentSleep(req.babyId);
+    res.json({ sleeping: !!sleep, sleep: sleep || null });
+});
+
+// 开始睡觉
+app.post('/api/sleeps/start', (req, res) => {
+    if (getCurrentSleep(req.babyId)) {
+        return res.status(400).json({ error: '宝宝已经在睡觉了' });
+    }
+    const startAt = req.body.start_at ? parseSleepTime(req.body.start_at) : new Date().toISOString();
+    if (!startAt) {
+        return res.status(400).json({ error: '入睡时间无效' });
+    }
+
+    const info = db.prepare('INSERT INTO sleeps (baby_id, start_at, created_by) VALUES (?, ?, ?)').run(req.babyId, startAt, actorName(req));
+    res.json({ id: info.lastInsertRowid, start_at: startAt });
+});
+
+// 醒来
+app.post('/api/sleeps/stop', (req, res) => {
+    const sleep = getCurrentSleep(req.babyId);
+    if (!sleep) {
+        return res.status(400).json({ error: '宝宝当前没有在睡觉' });
+    }
+    const endAt = req.body.end_at ? parseSleepTime(req.body.end_at) : new Date().toISOString();
+    if (!endAt || endAt <= sleep.start_at) {
+        return res.status(400).json({ error: '醒来时间必须晚于入睡时间' });
+    }
+
+    db.prepare('UPDATE sleeps SET end_at = ?, note = ? WHERE id = ?').run(endAt, req.body.note || sleep.note || '', sleep.id);
+    res.json({ success: true, id: sleep.id, end_at: endAt });
+});
+
+// 校验补记/编辑的睡眠时间
+function normalizeSleep(body) {
+    const startAt = parseSleepTime(body.start_at);
+    const endAt = body.end_at ? parseSleepTime(body.end_at) : null;
+    if (!startAt) return { error: '入睡时间无效' };
+    if (body.end_at && !endAt) return { error: '醒来时间无效' };
+    if (endAt && endAt <= startAt) return { error: '醒来时间必须晚于入睡时间' };
+    const now = new Date().toISOString();
+    if (startAt > now || (endAt && endAt > now)) return { error: '睡眠时间不能是未来时间' };
+    return { sleep: { start_at: startAt, end_at: endAt, note: body.note || '' } };
+}
+
+// 补记睡眠
+app.post('/api/sleeps', (req, res) => {
+    const { sleep, error } = normalizeSleep(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!sleep.end_at && getCurrentSleep(req.babyId)) {
+        return res.status(400).json({ error: '宝宝已经在睡觉了' });
+    }
+
+    const info = db.prepare('INSERT INTO sleeps (baby_id, start_at, end_at, note, created_by) VALUES (?, ?, ?, ?, ?)')
+        .run(req.babyId, sleep.start_at, sleep.end_at, sleep.note, actorName(req));
+    res.json({ id: info.lastInsertRowid });
+});
+
+app.put('/api/sleeps/:id', (req, res) => {
+    const { sleep, error } = normalizeSleep(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const current = getCurrentSleep(req.babyId);
+    if (!sleep.end_at && current && current.id !== parseInt(req.params.id)) {
+        return res.status(400).json({ error: '宝宝已经在睡觉了' });
+    }
+
+    const info = db.prepare('UPDATE sleeps SET start_at = ?, end_at = ?, note = ? WHERE id = ? AND baby_id = ?')
+        .run(sleep.start_at, sleep.end_at, sleep.note, req.params.id, req.babyId);
+    if (info.changes === 0) {
+        return res.status(404).json({ error: '睡眠记录不存在' });
+    }
+    res.json({ success: true });
+});
+
+app.delete('/api/sleeps/:id', (req, res) => {
+    db.prepare('DELETE FROM sleeps WHERE id = ? AND baby_id = ?').run(req.params.id, req.babyId);
+    res.json({ success: true });
+});
+
+// =============================================
+// 2.4 记录导出（CSV / Excel，给医生查看）
+// =============================================
+
+// 按字段分组导出：growth 生长测量、feeding 喂养（奶瓶/亲喂/辅食）、diaper 尿布
+// 表头带单位；CSV 为 UTF-8 + BOM，Excel 直接打开中文不乱码
+const BREAST_SIDE_NAMES = { left: '左侧', right: '右侧', both: '双侧' };
+
+// 空字符串和 null 导出为空单元格
+function exportNumber(value) {
+    if (value === null || value === undefined || value === '') return '';
+    const number = Number(value);
+    return Number.isFinite(number) ? number : '';
+}
+
+const RECORD_EXPORT_GROUPS = {
+    growth: {
+        label: '生长',
+        // 只有照片、没有测量值和备注的记录不导出
+        rows: (babyId, from, to) => db.prepare(
+            `SELECT * FROM records WHERE baby_id = ? AND date >= ? AND date <= ?
+             AND (CAST(height AS REAL) > 0 OR CAST(weight AS REAL) > 0 OR CAST(head AS REAL) > 0 OR note != '')`
+        ).all(babyId, from, to),
+        kind: () => '生长测量',
+        columns: [
+            { header: '月龄 (月)', value: (r, baby) => baby.birthDate && r.date >= baby.birthDate ? Math.round(ageInMonths(baby.birthDate, r.date) * 10) / 10 : '' },
+            { header: '身高 (cm)', value: r => exportNumber(r.height) },
+            { header: '体重 (kg)', value: r => exportNumber(r.weight) },
+            { header: '头围 (cm)', value: r => exportNumber(r.head) }
+        ]
+    },
+    feeding: {
+        label: '喂养',
+        rows: (babyId, from, to) => db.prepare(
+            "SELECT * FROM events WHERE baby_id = ? AND date >= ? AND date <= ? AND type IN ('bottle', 'breast', 'solid')"
+        ).all(babyId, from, to),
+        kind: r => EVENT_TYPES[r.type],
+        typed: true, // 同一张表中有多种类型，单独成表时也保留类型列
+        columns: [
+            { header: '奶量 (ml)', value: r => r.type === 'bottle' ? exportNumber(r.amount) : '' },
+            { header: '亲喂侧', value: r => BREAST_SIDE_NAMES[r.side] || '' },
+            { header: '亲喂时长 (分钟)', value: r => r.type === 'breast' ? exportNumber(r.duration) : '' },
+            { header: '辅食', value: r => r.type === 'solid' ? r.name || '' : '' },
+            { header: '辅食份量 (g)', value: r => r.type === 'solid' ? exportNumber(r.amount) : '' }
+        ]
+    },
+    diaper: {
+        label: '尿布',
+        rows: (babyId, from, to) => db.prepare(
+            "SELECT * FROM events WHERE baby_id = ? AND date >= ? AND date <= ? AND type = 'diaper'"
+        ).all(babyId, from, to),
+        kind: () => '尿布',
+        columns: [
+            { header: '大便', value: r => r.poop || '' },
+            { header: '小便', value: r => r.pee || '' }
+        ]
+    }
+};
+
+// 解析 ?from=&to=&groups=growth,feeding，返回 { error } 或导出内容：每个分组的表头与行
+function collectRecordExport(req) {
+    const { from, to } = req.query;
+    for (const date of [from, to]) {
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) return { error: '日期格式应为 YYYY-MM-DD' };
+    }
+    if (from && to && from > to) return { error: '开始日期不能晚于结束日期' };
+
+    const names = req.query.groups ? String(req.query.groups).split(',').map(g => g.trim()).filter(Boolean) : Object.keys(RECORD_EXPORT_GROUPS);
+    const unknown = names.filter(name => !RECORD_EXPORT_GROUPS[name]);
+    if (unknown.length) return { error: `未知的字段分组: ${unknown.join(', ')}` };
+    if (names.length === 0) return { error: '请至少选择一个字段分组' };
+
+    const baby = db.prepare('SELECT * FROM baby WHERE id = ?').get(req.babyId);
+    const byTime = (a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || '');
+    const groups = names.map(name => {
+        const group = RECORD_EXPORT_GROUPS[name];
+        const rows = group.rows(req.babyId, from || '0000-00-00', to || '9999-99-99').sort(byTime);
+        return { name, ...group, rows };
+    });
+    return { baby, from, to, groups };
+}
+
+// 单元格：日期、时间、[类型]、分组字段、备注、记录人
+// columns 为表中的全部字段（CSV 合并多个分组时为并集），不属于该分组的字段为空
+function exportRow(group, row, baby, typed, columns = group.columns) {
+    return [
+        row.date,
+        row.time || '',
+        ...(typed ? [group.kind(row)] : []),
+        ...columns.map(col => group.columns.includes(col) ? col.value(row, baby) : ''),
+        row.note || '',
+        row.created_by || ''
+    ];
+}
+
+function exportHeaders(columns, typed) {
+    return ['日期', '时间', ...(typed ? ['类型'] : []), ...columns.map(col => col.header), '备注', '记录人'];
+}
+
+// 下载文件名：中文名通过 filename* 传递，旧浏览器使用 ASCII 文件名
+function exportDisposition(exported, ext) {
+    const range = `${exported.from || '最早'}至${exported.to || formatLocalDate(new Date())}`;
+    const name = `${exported.baby.name || '宝宝'}-成长记录-${range}.${ext}`;
+    return `attachment; filename="baby-records.${ext}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+// --- CSV ---
+
+// 多个分组合并为一张表（列为各分组字段的并集），按时间排序
+// 以 = + - @ 开头的文本前加单引号，避免 Excel 当作公式执行
+function csvCell(value) {
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+app.get('/api/records/export.csv', (req, res) => {
+    const exported = collectRecordExport(req);
+    if (exported.error) return res.status(400).json({ error: exported.error });
+
+    // 与 Excel 工作表使用相同的列；合并多个分组时总是带类型列
+    const { groups, baby } = exported;
+    const columns = groups.flatMap(g => g.columns);
+    const typed = groups.length > 1 || !!groups[0].typed;
+    const rows = groups.flatMap(group => group.rows.map(row => exportRow(group, row, baby, typed, columns)));
+    rows.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+
+    const lines = [exportHeaders(columns, typed), ...rows].map(cells => cells.map(csvCell).join(','));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', exportDisposition(exported, 'csv'));
+    res.send('\uFEFF' + lines.join('\r\n') + '\r\n');
+});
+
+// --- Excel（.xlsx：每个分组一张工作表，不依赖第三方库） ---
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 最简 ZIP 打包（deflate 压缩，文件名 UTF-8），files 为 [{ name, data }]
+function createZip(files) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name);
+        const data = Buffer.from(file.data);
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function xmlEscape(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// 列号 → A、B … Z、AA
+function xlsxColumn(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    return name;
+}
+
+// 工作表：首行为加粗表头并冻结，数字写为数值单元格，文本使用内联字符串
+function xlsxSheet(headers, rows) {
+    const cell = (value, ref, style = '') => typeof value === 'number'
+        ? `<c r="${ref}"${style}><v>${value}</v></c>`
+        : `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+    const row = (cells, r, style) => `<row r="${r}">${cells.map((v, i) => v === '' ? '' : cell(v, `${xlsxColumn(i)}${r}`, style)).join('')}</row>`;
+    // 列宽按内容估算：中文按两个字符宽
+    const textWidth = value => [...String(value)].reduce((sum, char) => sum + (char.charCodeAt(0) > 0xff ? 2 : 1), 0);
+    // 逐行比较（不展开成函数参数，行数很多时不会栈溢出），达到上限 40 即停止
+    const columnWidth = i => {
+        let width = Math.max(8, textWidth(headers[i]) + 2);
+        for (let r = 0; r < rows.length && width < 40; r++) {
+            width = Math.max(width, textWidth(rows[r][i]) + 2);
+        }
+        return Math.min(40, width);
+    };
+    const widths = headers.map((h, i) => columnWidth(i));
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>` +
+        `<sheetData>${row(headers, 1, ' s="1"')}${rows.map((cells, i) => row(cells, i + 2, '')).join('')}</sheetData>` +
+        '</worksheet>';
+}
+
+function createXlsx(sheets) {
+    const ns = 'http://schemas.openxmlformats.org';
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="${ns}/package/2006/content-types">` +
+                `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+                `<Default Extension="xml" ContentType="application/xml"/>` +
+                `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+                `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+                sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${ns}/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>` +
+                sheets.map((s, i) => `<sheet name="${xmlEscape(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${ns}/package/2006/relationships">` +
+                sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`
+        },
+        {
+            // 样式 0 为默认，样式 1 为加粗（表头）
+            name: 'xl/styles.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<styleSheet xmlns="${ns}/spreadsheetml/2006/main">` +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xlsxSheet(s.headers, s.rows) }))
+    ];
+    return createZip(files);
+}
+
+app.get('/api/records/export.xlsx', (req, res) => {
+    const exported = collectRecordExport(req);
+    if (exported.error) return res.status(400).json({ error: exported.error });
+
+    const sheets = exported.groups.map(group => ({
+        name: group.label,
+        headers: exportHeaders(group.columns, group.typed),
+        rows: group.rows.map(row => exportRow(group, row, exported.baby, group.typed))
+    }));
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', exportDisposition(exported, 'xlsx'));
+    res.send(createXlsx(sheets));
+});
+
+// =============================================
+// 2.5 API Token 管理
+// =============================================
+
+// 获取所有 Token 列表（不返回完整 token，只返回前缀）
+app.get('/api/tokens', (req, res) => {
+    // 只有 Session 认证（Web 管理员）才能管理 Token
+    if (req.authType !== 'session') {
+        return res.status(403).json({ error: 'Token 管理仅限 Web 管理员' });
+    }
+
+    const tokens = db.prepare(
+        'SELECT id, name, permission, created_at, expires_at, last_used_at, is_active FROM api_tokens ORDER BY created_at DESC'
+    ).all();
+
+    // 返回时隐藏完整 token
+    res.json(tokens.map(t => ({
+        ...t,
+        token_preview: 'baby_****' + t.id  // 不显示完整 token
+    })));
+});
+
+// 创建新 Token
+app.post('/api/tokens', (req, res) => {
+    if (req.authType !== 'session') {
+        return res.status(403).json({ error: 'Token 管理仅限 Web 管理员' });
+    }
+
+    const { name, permission = 'read', expires_in = 0 } = req.body;
+
+    if (!name || name.trim().length === 0) {
+        return res.status(400).json({ error: 'Token 名称不能为空' });
+    }
+
+    if (!['read', 'write'].includes(permission)) {
+        return res.status(400).json({ error: '权限类型无效，只能是 read 或 write' });
+    }
+
+    const token = generateApiToken();
+
+    // 计算过期时间
+    let expiresAt = null;
+    if (expires_in > 0) {
+        const expireDate = new Date();
+        expireDate.setDate(expireDate.getDate() + expires_in);
+        expiresAt = expireDate.toISOString();
+    }
+
+    try {
+        const info = db.prepare(
+            'INSERT INTO api_tokens (name, token, permission, expires_at) VALUES (?, ?, ?, ?)'
+        ).run(name.trim(), token, permission, expiresAt);
+
+        const expiresDesc = expires_in > 0 ? `${expires_in}天后过期` : '永久有效';
+        console.log(`[API Token] 已创建: ${name} (${permission}, ${expiresDesc})`);
+
+        // 只在创建时返回完整 token，之后无法再获取
+        res.json({
+            success: true,
+            id: info.lastInsertRowid,
+            name: name.trim(),
+            token: token,  // 仅此一次显示完整 token
+            permission,
+            expires_at: expiresAt,
+            message: '⚠️ 请立即保存此 Token，关闭后将无法再次查看完整内容'
+        });
+    } catch (error) {
+        console.error('[API Token] 创建失败:', error.message);
+        res.status(500).json({ error: '创建 Token 失败: ' + error.message });
+    }
+});
+
+// 更新 Token 状态（启用/禁用）
+app.put('/api/tokens/:id', (req, res) => {
+    if (req.authType !== 'session') {
+        return res.status(403).json({ error: 'Token 管理仅限 Web 管理员' });
+    }
+
+    const { is_active, name, permission } = req.body;
+    const tokenId = req.params.id;
+
+    // 检查 token 是否存在
+    const existing = db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(tokenId);
+    if (!existing) {
         return res.status(404).json({ error: 'Token 不存在' });
     }
 
@@ -874,734 +3161,3672 @@ app.put('/api/tokens/:id', (req, res) => {
         db.prepare('UPDATE api_tokens SET is_active = ? WHERE id = ?')
             .run(is_active ? 1 : 0, tokenId);
     }
-
-    if (name && name.trim().length > 0) {
-        db.prepare('UPDATE api_tokens SET name = ? WHERE id = ?')
-            .run(name.trim(), tokenId);
+
+    if (name && name.trim().length > 0) {
+        db.prepare('UPDATE api_tokens SET name = ? WHERE id = ?')
+            .run(name.trim(), tokenId);
+    }
+
+    if (permission && ['read', 'write'].includes(permission)) {
+        db.prepare('UPDATE api_tokens SET permission = ? WHERE id = ?')
+            .run(permission, tokenId);
+    }
+
+    console.log(`[API Token] 已更新: ID=${tokenId}`);
+    res.json({ success: true });
+});
+
+// 删除 Token
+app.delete('/api/tokens/:id', (req, res) => {
+    if (req.authType !== 'session') {
+        return res.status(403).json({ error: 'Token 管理仅限 Web 管理员' });
+    }
+
+    const tokenId = req.params.id;
+    const existing = db.prepare('SELECT name FROM api_tokens WHERE id = ?').get(tokenId);
+
+    if (!existing) {
+        return res.status(404).json({ error: 'Token 不存在' });
+    }
+
+    db.prepare('DELETE FROM api_tokens WHERE id = ?').run(tokenId);
+    console.log(`[API Token] 已删除: ${existing.name}`);
+
+    res.json({ success: true });
+});
+
+// =============================================
+// 2.6 成员管理（用户 / 邀请 / 修改密码）
+// =============================================
+
+// 注销某个用户的全部会话（可保留当前会话）
+function revokeUserSessions(userId, keepSessionId = null) {
+    db.prepare('DELETE FROM sessions WHERE user_id = ? AND id != ?').run(userId, keepSessionId || 0);
+}
+
+// 我的登录设备
+app.get('/api/auth/sessions', (req, res) => {
+    if (!req.user) {
+        return res.status(403).json({ error: '请使用账户登录后查看登录设备' });
+    }
+
+    const sessions = db.prepare(`
+        SELECT id, created_at, last_seen_at, expires_at, user_agent, ip
+        FROM sessions WHERE user_id = ? AND expires_at > ?
+        ORDER BY last_seen_at DESC
+    `).all(req.user.id, new Date().toISOString());
+
+    res.json(sessions.map(s => ({ ...s, current: s.id === req.session.id })));
+});
+
+// 注销除当前设备外的全部会话
+app.delete('/api/auth/sessions', (req, res) => {
+    if (!req.user) {
+        return res.status(403).json({ error: '请使用账户登录后管理登录设备' });
+    }
+
+    revokeUserSessions(req.user.id, req.session.id);
+    console.log(`[会话] ${req.user.username} 已退出其他设备`);
+    res.json({ success: true });
+});
+
+// 注销指定设备
+app.delete('/api/auth/sessions/:id', (req, res) => {
+    if (!req.user) {
+        return res.status(403).json({ error: '请使用账户登录后管理登录设备' });
+    }
+
+    const sessionId = parseInt(req.params.id);
+    const result = db.prepare('DELETE FROM sessions WHERE id = ? AND user_id = ?').run(sessionId, req.user.id);
+    if (result.changes === 0) {
+        return res.status(404).json({ error: '会话不存在' });
+    }
+
+    // 注销当前设备时同时清除 Cookie
+    if (sessionId === req.session.id) {
+        res.setHeader('Set-Cookie', 'baby_session=; Path=/; HttpOnly; Max-Age=0');
+    }
+    console.log(`[会话] ${req.user.username} 已注销设备 #${sessionId}`);
+    res.json({ success: true });
+});
+
+// 修改自己的密码
+app.post('/api/auth/password', async (req, res) => {
+    if (!req.user) {
+        return res.status(403).json({ error: '请使用账户登录后修改密码' });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+
+    const lockRemaining = getLoginLock(req, user.username);
+    if (lockRemaining > 0) {
+        return res.status(429).json({ error: loginLockMessage(lockRemaining) });
+    }
+    recordLoginFailure(req, user.username);
+    if (!await verifyPassword(currentPassword || '', user.password_hash, user.password_salt)) {
+        return res.status(400).json({ error: '当前密码错误' });
+    }
+    clearLoginFailures(req, user.username);
+    if (!newPassword || newPassword.length < 6) {
+        return res.status(400).json({ error: '新密码长度至少 6 个字符' });
+    }
+
+    const { hash, salt } = await hashPassword(newPassword);
+    db.prepare('UPDATE users SET password_hash = ?, password_salt = ? WHERE id = ?').run(hash, salt, user.id);
+
+    // 其他设备需重新登录
+    revokeUserSessions(user.id, req.session.id);
+
+    console.log(`[认证] ${user.username} 已修改密码`);
+    res.json({ success: true });
+});
+
+// 成员列表
+app.get('/api/users', (req, res) => {
+    const users = db.prepare('SELECT id, username, role, created_at FROM users ORDER BY id').all();
+    res.json(users);
+});
+
+// 修改成员角色
+app.put('/api/users/:id', (req, res) => {
+    const { role } = req.body;
+    if (!ROLE_LEVELS[role]) {
+        return res.status(400).json({ error: '无效的角色' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: '用户不存在' });
+    }
+
+    const { count } = db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'owner'").get();
+    if (user.role === 'owner' && role !== 'owner' && count <= 1) {
+        return res.status(400).json({ error: '至少需要保留一个所有者' });
+    }
+
+    db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, user.id);
+    console.log(`[成员] ${user.username} 角色改为${ROLE_NAMES[role]}`);
+    res.json({ success: true });
+});
+
+// 删除成员
+app.delete('/api/users/:id', (req, res) => {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: '用户不存在' });
+    }
+    if (req.user && user.id === req.user.id) {
+        return res.status(400).json({ error: '不能删除自己的账户' });
+    }
+
+    const { count } = db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'owner'").get();
+    if (user.role === 'owner' && count <= 1) {
+        return res.status(400).json({ error: '至少需要保留一个所有者' });
+    }
+
+    db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+    revokeUserSessions(user.id);
+
+    console.log(`[成员] 已删除: ${user.username}`);
+    res.json({ success: true });
+});
+
+// 未使用且未过期的邀请
+app.get('/api/invitations', (req, res) => {
+    const invitations = db.prepare(
+        'SELECT id, code, role, created_by, created_at, expires_at FROM invitations WHERE used_at IS NULL AND expires_at > ? ORDER BY created_at DESC'
+    ).all(new Date().toISOString());
+    res.json(invitations);
+});
+
+// 创建邀请链接
+app.post('/api/invitations', (req, res) => {
+    const { role, expiresInDays } = req.body;
+    if (!ROLE_LEVELS[role]) {
+        return res.status(400).json({ error: '无效的角色' });
+    }
+
+    const days = Math.min(Math.max(parseInt(expiresInDays) || 7, 1), 30);
+    const code = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    const info = db.prepare('INSERT INTO invitations (code, role, created_by, expires_at) VALUES (?, ?, ?, ?)')
+        .run(code, role, actorName(req), expiresAt);
+
+    console.log(`[成员] 已创建邀请（${ROLE_NAMES[role]}），有效期 ${days} 天`);
+    res.json({ id: info.lastInsertRowid, code, role, expires_at: expiresAt, path: `/invite/${code}` });
+});
+
+// 撤销邀请
+app.delete('/api/invitations/:id', (req, res) => {
+    db.prepare('DELETE FROM invitations WHERE id = ? AND used_at IS NULL').run(req.params.id);
+    res.json({ success: true });
+});
+
+// =============================================
+// 3. Media Gallery（媒体索引）
+// =============================================
+
+const MEDIA_SCAN_INTERVAL = (parseInt(process.env.MEDIA_SCAN_INTERVAL) || 10) * 60 * 1000; // 定期全量比对，默认 10 分钟
+const MEDIA_WATCH_DELAY = 3000; // 文件变动后延迟同步，合并连续事件
+const MEDIA_PAGE_LIMIT = 200;
+
+let mediaSyncRunning = null;
+let mediaSyncQueued = false;
+let mediaSyncTimer = null;
+let mediaIndexReady = false;
+
+// 媒体索引的一行 -> 接口返回格式
+function toMediaItem(row) {
+    const urlPath = row.path.split(path.sep).join('/');
+    return {
+        id: row.id,
+        url: `/media/${urlPath}`,
+        thumb: `/api/thumb/${encodeURIComponent(row.path)}`,
+        filename: row.path,
+        type: row.type,
+        size: row.size,
+        date: row.customDate || row.date,
+        originalDate: row.date,
+        customDate: row.customDate || null,
+        takenAt: row.taken_at || null,
+        camera: row.camera || null,
+        location: row.latitude !== null && row.longitude !== null
+            ? { latitude: row.latitude, longitude: row.longitude }
+            : null,
+        duration: row.duration || null,
+        nativePreview: NATIVE_PREVIEW_EXTENSIONS.includes(path.extname(row.path).toLowerCase()),
+        unsupported: !!row.unsupported,
+        title: row.title || path.basename(row.path),
+        description: row.description || ''
+    };
+}
+
+const MEDIA_SELECT = `
+    SELECT m.*, mm.title, mm.description, mm.customDate
+    FROM media m LEFT JOIN media_meta mm ON mm.filename = m.path
+`;
+
+// 写入/更新一个文件的索引；分组日期优先使用拍摄时间，没有时使用文件修改时间
+const upsertMediaStmt = db.prepare(`
+    INSERT INTO media (path, type, size, mtime, date, taken_at, camera, latitude, longitude, duration, meta_version, indexed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(path) DO UPDATE SET type = excluded.type, size = excluded.size, mtime = excluded.mtime,
+        date = excluded.date, taken_at = excluded.taken_at, camera = excluded.camera,
+        latitude = excluded.latitude, longitude = excluded.longitude, duration = excluded.duration,
+        meta_version = excluded.meta_version, indexed_at = excluded.indexed_at, unsupported = 0,
+        sha256 = CASE WHEN media.size = excluded.size AND media.mtime = excluded.mtime THEN media.sha256 END
+`);
+
+const upsertMediaRow = (relPath, stat, meta, now) => upsertMediaStmt.run(
+    relPath, mediaTypeOf(relPath), stat.size, stat.mtime.toISOString(),
+    meta.takenAt ? meta.takenAt.slice(0, 10) : formatLocalDate(stat.mtime),
+    meta.takenAt, meta.camera, meta.latitude, meta.longitude, meta.duration, MEDIA_META_VERSION, now
+);
+
+// 索引单个文件（上传后立即可见）
+async function indexMediaFile(relPath) {
+    const fullPath = path.join(MEDIA_PATH, relPath);
+    const stat = fs.statSync(fullPath);
+    const meta = await readMediaMetadata(fullPath);
+    upsertMediaRow(relPath, stat, meta, new Date().toISOString());
+    return db.prepare(`${MEDIA_SELECT} WHERE m.path = ?`).get(relPath);
+}
+
+// 扫描媒体目录，与索引比对后增量更新（新增 / 修改 / 删除）
+// 只对新增、变化或元数据版本过旧的文件读取 EXIF / QuickTime 信息
+function syncMediaIndex() {
+    if (mediaSyncRunning) {
+        mediaSyncQueued = true;
+        return mediaSyncRunning;
+    }
+
+    mediaSyncRunning = (async () => {
+        const started = Date.now();
+        const files = await scanMedia(MEDIA_PATH);
+        const existing = new Map(db.prepare('SELECT id, path, size, mtime, meta_version FROM media').all().map(r => [r.path, r]));
+        const stats = { added: 0, updated: 0, removed: 0, total: files.length };
+
+        const pending = [];
+        for (const f of files) {
+            const row = existing.get(f.path);
+            if (!row) {
+                pending.push(f);
+                stats.added++;
+            } else {
+                if (row.size !== f.size || row.mtime !== f.mtime.toISOString() || row.meta_version < MEDIA_META_VERSION) {
+                    pending.push(f);
+                    stats.updated++;
+                }
+                existing.delete(f.path);
+            }
+        }
+
+        // 先读取全部元数据（异步），再在一个事务中写入新增/修改并删除已不存在的文件（剩下的 existing）
+        const metas = [];
+        for (const f of pending) {
+            metas.push(await readMediaMetadata(f.fullPath));
+        }
+        const now = new Date().toISOString();
+        const remove = db.prepare('DELETE FROM media WHERE id = ?');
+        db.transaction(() => {
+            pending.forEach((f, i) => upsertMediaRow(f.path, f, metas[i], now));
+            for (const row of existing.values()) {
+                remove.run(row.id);
+                stats.removed++;
+            }
+        })();
+
+        mediaIndexReady = true;
+        if (stats.added || stats.updated || stats.removed) {
+            console.log(`[媒体] 索引已更新：新增 ${stats.added}，修改 ${stats.updated}，删除 ${stats.removed}，共 ${stats.total} 个文件（${Date.now() - started}ms）`);
+        }
+
+        // 新增/变化的文件预生成缩略图，删除的文件清理缩略图
+        if (pending.length > 0) enqueueThumbnails(pending.map(f => f.path));
+        if (stats.removed > 0) cleanupOrphanThumbs();
+        return stats;
+    })().catch(error => {
+        console.error('[媒体] 索引更新失败:', error.message);
+        return null;
+    }).finally(() => {
+        mediaSyncRunning = null;
+        if (mediaSyncQueued) {
+            mediaSyncQueued = false;
+            scheduleMediaSync();
+        }
+    });
+
+    return mediaSyncRunning;
+}
+
+// 延迟触发同步（文件监听、恢复备份后调用）
+function scheduleMediaSync(delay = MEDIA_WATCH_DELAY) {
+    clearTimeout(mediaSyncTimer);
+    mediaSyncTimer = setTimeout(syncMediaIndex, delay);
+}
+
+// 启动时建立索引，之后通过文件监听 + 定期比对保持更新
+function startMediaIndexer() {
+    syncMediaIndex();
+    setInterval(syncMediaIndex, MEDIA_SCAN_INTERVAL).unref();
+
+    // NAS 网络挂载目录可能不支持监听，此时只依赖定期比对
+    try {
+        fs.mkdirSync(MEDIA_PATH, { recursive: true });
+        fs.watch(MEDIA_PATH, { recursive: true }, (event, filename) => {
+            if (filename && filename.split(path.sep).some(part => part.startsWith('.'))) return;
+            scheduleMediaSync();
+        }).on('error', (error) => {
+            console.warn('[媒体] 文件监听已停止:', error.message);
+        });
+    } catch (error) {
+        console.warn('[媒体] 无法监听媒体目录，仅定期扫描:', error.message);
+    }
+}
+
+// 媒体列表：?page=&limit= 分页（返回 { items, total, page, limit }），不传时返回全部（兼容旧客户端）
+// 可选过滤：?type=image|video、?from=、?to=（YYYY-MM-DD）
+app.get('/api/media', async (req, res) => {
+    try {
+        if (!mediaIndexReady) await syncMediaIndex();
+
+        const where = [];
+        const params = [];
+        if (req.query.type === 'image' || req.query.type === 'video') {
+            where.push('m.type = ?');
+            params.push(req.query.type);
+        }
+        if (req.query.from) {
+            where.push('COALESCE(mm.customDate, m.date) >= ?');
+            params.push(req.query.from);
+        }
+        if (req.query.to) {
+            where.push('COALESCE(mm.customDate, m.date) <= ?');
+            params.push(req.query.to);
+        }
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const orderSql = 'ORDER BY COALESCE(mm.customDate, m.date) DESC, COALESCE(m.taken_at, m.mtime) DESC, m.id DESC';
+
+        if (req.query.page === undefined && req.query.limit === undefined) {
+            const rows = db.prepare(`${MEDIA_SELECT} ${whereSql} ${orderSql}`).all(...params);
+            return res.json(rows.map(toMediaItem));
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MEDIA_PAGE_LIMIT);
+        const total = db.prepare(`SELECT COUNT(*) AS count FROM media m LEFT JOIN media_meta mm ON mm.filename = m.path ${whereSql}`)
+            .get(...params).count;
+        const rows = db.prepare(`${MEDIA_SELECT} ${whereSql} ${orderSql} LIMIT ? OFFSET ?`)
+            .all(...params, limit, (page - 1) * limit);
+
+        res.json({ items: rows.map(toMediaItem), total, page, limit });
+    } catch (error) {
+        console.error("Media list error:", error);
+        res.status(500).json({ error: '获取媒体列表失败' });
+    }
+});
+
+// 单个媒体（按稳定 ID）
+app.get('/api/media/:id(\\d+)', (req, res) => {
+    const row = db.prepare(`${MEDIA_SELECT} WHERE m.id = ?`).get(req.params.id);
+    if (!row) {
+        return res.status(404).json({ error: '媒体不存在' });
+    }
+    res.json(toMediaItem(row));
+});
+
+// 校验媒体描述信息；partial 为 true 时只处理请求中出现的字段（批量编辑）
+const MEDIA_META_FIELDS = ['title', 'description', 'customDate'];
+
+function normalizeMediaMeta(body, partial = false) {
+    const meta = {};
+    for (const field of MEDIA_META_FIELDS) {
+        if (partial && !(field in body)) continue;
+        const value = body[field] === undefined || body[field] === null ? '' : String(body[field]).trim();
+        meta[field] = value || null;
+    }
+
+    if (meta.title && meta.title.length > 200) return { error: '标题不能超过 200 个字符' };
+    if (meta.description && meta.description.length > 2000) return { error: '描述不能超过 2000 个字符' };
+    if (meta.customDate) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(meta.customDate) || isNaN(new Date(meta.customDate))) {
+            return { error: '日期格式应为 YYYY-MM-DD' };
+        }
+        if (meta.customDate > formatLocalDate(new Date())) {
+            return { error: '日期不能晚于今天' };
+        }
+    }
+    if (partial && Object.keys(meta).length === 0) {
+        return { error: '请至少提供 title、description、customDate 中的一项' };
+    }
+    return { meta };
+}
+
+// 合并写入 media_meta，全部为空时删除该行
+function saveMediaMeta(filename, changes) {
+    const existing = db.prepare('SELECT * FROM media_meta WHERE filename = ?').get(filename) || {};
+    const merged = { ...existing, ...changes };
+    if (!merged.title && !merged.description && !merged.customDate) {
+        db.prepare('DELETE FROM media_meta WHERE filename = ?').run(filename);
+        return;
+    }
+    db.prepare('INSERT OR REPLACE INTO media_meta (filename, title, description, customDate) VALUES (?, ?, ?, ?)')
+        .run(filename, merged.title || null, merged.description || null, merged.customDate || null);
+}
+
+// 批量编辑：{ filenames: [...], title?, description?, customDate? }，未提供的字段保持不变
+app.put('/api/media/meta', (req, res) => {
+    const filenames = Array.isArray(req.body.filenames) ? [...new Set(req.body.filenames)] : [];
+    if (filenames.length === 0) {
+        return res.status(400).json({ error: '请选择要编辑的媒体' });
+    }
+
+    const { error, meta } = normalizeMediaMeta(req.body, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const findMedia = db.prepare('SELECT id FROM media WHERE path = ?');
+    const missing = filenames.filter(f => !findMedia.get(f));
+    if (missing.length > 0) {
+        return res.status(404).json({ error: `媒体不存在: ${missing.slice(0, 3).join(', ')}` });
+    }
+
+    db.transaction(() => {
+        filenames.forEach(f => saveMediaMeta(f, meta));
+    })();
+
+    console.log(`[媒体] ${actorName(req) || '匿名'} 批量编辑了 ${filenames.length} 个媒体的描述信息`);
+    const findItem = db.prepare(`${MEDIA_SELECT} WHERE m.path = ?`);
+    res.json({ success: true, items: filenames.map(f => toMediaItem(findItem.get(f))) });
+});
+
+// 编辑单个媒体的标题、描述和自定义日期（文件名为相对路径，需 URL 编码）
+app.put('/api/media/:filename(*)/meta', (req, res) => {
+    const filename = req.params.filename;
+    if (!db.prepare('SELECT id FROM media WHERE path = ?').get(filename)) {
+        return res.status(404).json({ error: '媒体不存在' });
+    }
+
+    const { error, meta } = normalizeMediaMeta(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    saveMediaMeta(filename, meta);
+    res.json(toMediaItem(db.prepare(`${MEDIA_SELECT} WHERE m.path = ?`).get(filename)));
+});
+
+// 立即重新扫描媒体目录
+app.post('/api/media/rescan', async (req, res) => {
+    const stats = await syncMediaIndex();
+    if (!stats) {
+        return res.status(500).json({ error: '扫描失败' });
+    }
+    res.json({ success: true, ...stats });
+});
+
+// 3.1 缩略图 API - 实时生成并缓存（视频使用 ffmpeg 提取的封面帧）
+
+let videoDecoderAvailable = false;
+const videoPosterFailures = new Map(); // 提取失败的视频 -> 修改时间，文件未变化时不再重试
+
+// 检测 ffmpeg 是否可用
+function detectVideoDecoder() {
+    execFile(FFMPEG_PATH, ['-version'], { timeout: 10000 }, (error) => {
+        videoDecoderAvailable = !error;
+        console.log(videoDecoderAvailable
+            ? '[媒体] 已找到 ffmpeg，视频缩略图使用封面帧'
+            : '[媒体] 未找到 ffmpeg，视频缩略图使用占位图');
+    });
+}
+
+// 用 ffmpeg 提取视频某一时刻的画面（PNG）
+function extractVideoFrame(videoFile, seconds) {
+    return new Promise((resolve, reject) => {
+        execFile(FFMPEG_PATH, [
+            '-v', 'error', '-ss', String(seconds), '-i', videoFile,
+            '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', '-'
+        ], { encoding: 'buffer', maxBuffer: 64 * 1024 * 1024, timeout: 30000 }, (error, stdout) => {
+            if (error) return reject(error);
+            resolve(stdout);
+        });
+    });
+}
+
+// 视频封面：取第 1 秒（短视频取中间）的画面，黑屏开头的视频更好看
+async function extractVideoPoster(videoFile, duration) {
+    const seconds = duration ? Math.min(1, duration / 2) : 1;
+    let frame = await extractVideoFrame(videoFile, seconds);
+    if (frame.length === 0 && seconds > 0) {
+        frame = await extractVideoFrame(videoFile, 0);
+    }
+    if (frame.length === 0) throw new Error('未能提取视频画面');
+    return frame;
+}
+
+// 占位缩略图
+function sendThumbPlaceholder(res, icon, fill = '#f3f4f6', label = '') {
+    res.set('Content-Type', 'image/svg+xml');
+    res.send(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
+        <rect fill="${fill}" width="200" height="200"/>
+        <text x="100" y="${label ? 88 : 100}" text-anchor="middle" dominant-baseline="middle" font-size="48">${icon}</text>
+        ${label ? `<text x="100" y="140" text-anchor="middle" font-size="18" fill="#6b7280">${label}</text>` : ''}
+    </svg>`);
+}
+
+// 检测 sharp 能否解码 HEIC（预编译版本只带 AVIF 解码器，HEVC 编码的 HEIC 需要自行编译 libvips）
+function detectImageDecoders() {
+    const suffixes = sharp.format.heif?.input?.fileSuffix || [];
+    if (!suffixes.includes('.heic')) {
+        console.log('[媒体] 当前 sharp 不支持解码 HEIC，此类照片会显示为「无法预览」，原文件仍可下载');
+    }
+}
+
+// 缩略图尺寸：200 为相册方形裁切，800/1920 为按最长边等比缩放的预览图
+const THUMB_SIZES = [200, 800, 1920];
+const THUMB_DEFAULT_SIZE = 200;
+
+// 缩略图缓存路径（200 沿用旧文件名，已有缓存无需重建）
+function thumbCachePath(filename, size) {
+    const safeFilename = filename.replace(/[\/\\]/g, '_');
+    const suffix = size === THUMB_DEFAULT_SIZE ? '' : `@${size}`;
+    return path.join(THUMB_PATH, `${safeFilename}${suffix}.webp`);
+}
+
+// 按尺寸生成缩略图
+function renderThumb(source, size, thumbFile) {
+    const image = sharp(source).rotate(); // 按 EXIF 方向摆正
+    if (size === THUMB_DEFAULT_SIZE) {
+        image.resize(size, size, { fit: 'cover', position: 'center' });
+    } else {
+        image.resize(size, size, { fit: 'inside', withoutEnlargement: true });
+    }
+    return image.webp({ quality: size === THUMB_DEFAULT_SIZE ? 80 : 82 }).toFile(thumbFile);
+}
+
+const THUMB_CONCURRENCY = Math.max(1, parseInt(process.env.THUMB_CONCURRENCY) || 2); // 同时生成缩略图的最大任务数
+const THUMB_PREGENERATE_SIZES = [THUMB_DEFAULT_SIZE]; // 后台预生成相册缩略图，预览图在打开时生成
+const THUMB_PLACEHOLDERS = {
+    video: ['🎬', '#e5e7eb'],
+    unsupported: ['🖼️', '#f3f4f6', '无法预览']
+};
+
+// 缩略图任务名额：后台队列和实时请求共用，避免大量 sharp 任务同时运行拖垮 NAS
+let thumbActive = 0;
+const thumbWaiters = [];
+const thumbInflight = new Map(); // 缓存文件 -> 正在生成的 Promise，同一张图不会重复生成
+
+async function withThumbSlot(task) {
+    if (thumbActive < THUMB_CONCURRENCY) {
+        thumbActive++;
+    } else {
+        await new Promise(resolve => thumbWaiters.push(resolve)); // 由结束的任务直接移交名额
+    }
+    try {
+        return await task();
+    } finally {
+        const next = thumbWaiters.shift();
+        if (next) next();
+        else thumbActive--;
+    }
+}
+
+// 生成一个缩略图，返回 { file, generated } 或 { placeholder }
+async function renderMediaThumb(filename, originalFile, origStat, size, thumbFile) {
+    const isVideo = mediaTypeOf(filename) === 'video';
+
+    // 之前解码失败的图片直接返回「无法预览」，文件变化后索引会清除该标记
+    const indexed = db.prepare('SELECT duration, unsupported FROM media WHERE path = ?').get(filename);
+    if (!isVideo && indexed?.unsupported) {
+        return { placeholder: 'unsupported' };
+    }
+
+    let source = originalFile;
+    if (isVideo) {
+        // 没有解码器或之前提取失败时返回占位图
+        if (!videoDecoderAvailable || videoPosterFailures.get(filename) === origStat.mtimeMs) {
+            return { placeholder: 'video' };
+        }
+        try {
+            source = await extractVideoPoster(originalFile, indexed?.duration);
+        } catch (error) {
+            console.warn(`[媒体] 视频封面提取失败: ${filename} (${error.message.split('\n')[0]})`);
+            videoPosterFailures.set(filename, origStat.mtimeMs);
+            return { placeholder: 'video' };
+        }
+    }
+
+    try {
+        await renderThumb(source, size, thumbFile);
+    } catch (error) {
+        if (isVideo || error.code) throw error; // 文件系统错误不算格式不支持
+        console.warn(`[媒体] 无法解码图片: ${filename} (${error.message.split('\n')[0]})`);
+        db.prepare('UPDATE media SET unsupported = 1 WHERE path = ?').run(filename);
+        return { placeholder: 'unsupported' };
+    }
+    return { file: thumbFile, generated: true };
+}
+
+// 返回可用的缩略图：缓存比原文件新时直接复用，否则排队生成
+function ensureThumb(filename, size) {
+    const thumbFile = thumbCachePath(filename, size);
+    const originalFile = path.join(MEDIA_PATH, filename);
+    const origStat = fs.statSync(originalFile);
+
+    // 如果缩略图比原图新，直接返回缓存
+    if (fs.existsSync(thumbFile) && fs.statSync(thumbFile).mtime >= origStat.mtime) {
+        return Promise.resolve({ file: thumbFile, generated: false });
+    }
+
+    if (!thumbInflight.has(thumbFile)) {
+        thumbInflight.set(thumbFile, withThumbSlot(() => renderMediaThumb(filename, originalFile, origStat, size, thumbFile))
+            .finally(() => thumbInflight.delete(thumbFile)));
+    }
+    return thumbInflight.get(thumbFile);
+}
+
+app.get('/api/thumb/:filename(*)', async (req, res) => {
+    try {
+        const filename = req.params.filename;
+        const size = req.query.size ? parseInt(req.query.size) : THUMB_DEFAULT_SIZE;
+        if (!THUMB_SIZES.includes(size)) {
+            return res.status(400).json({ error: `缩略图尺寸只支持 ${THUMB_SIZES.join('、')}` });
+        }
+
+        // 检查原文件是否存在（且位于媒体目录内）
+        const originalFile = path.join(MEDIA_PATH, filename);
+        if (!path.resolve(originalFile).startsWith(path.resolve(MEDIA_PATH) + path.sep) || !fs.existsSync(originalFile)) {
+            return res.status(404).send('Not found');
+        }
+
+        const thumb = await ensureThumb(filename, size);
+        if (thumb.placeholder) {
+            return sendThumbPlaceholder(res, ...THUMB_PLACEHOLDERS[thumb.placeholder]);
+        }
+
+        res.set('Content-Type', 'image/webp');
+        res.set('Cache-Control', 'public, max-age=31536000');
+        res.sendFile(path.resolve(thumb.file));
+
+    } catch (error) {
+        console.error('Thumbnail error:', error.message);
+        // 预览图生成失败时退回原图，让浏览器自己尝试显示
+        const size = parseInt(req.query.size);
+        const originalFile = path.resolve(MEDIA_PATH, req.params.filename);
+        if (size > THUMB_DEFAULT_SIZE && NATIVE_PREVIEW_EXTENSIONS.includes(path.extname(originalFile).toLowerCase())
+            && mediaTypeOf(originalFile) !== 'video'
+            && originalFile.startsWith(path.resolve(MEDIA_PATH) + path.sep) && fs.existsSync(originalFile)) {
+            return res.sendFile(path.resolve(originalFile));
+        }
+        // 出错时返回占位图
+        sendThumbPlaceholder(res, '📷');
+    }
+});
+
+// =============================================
+// 3.1.1 缩略图后台队列（新增/变化的媒体预生成缩略图，清理孤立缓存）
+
+const thumbQueue = [];
+const thumbQueued = new Set();
+const thumbJob = {
+    running: false,
+    total: 0,        // 本轮任务总数（运行中加入的文件也会计入）
+    done: 0,
+    generated: 0,    // 实际生成的数量（其余为缓存有效或占位图）
+    failed: 0,
+    orphansRemoved: 0,
+    startedAt: null,
+    finishedAt: null
+};
+
+// 加入队列（已在队列中的文件不会重复加入）
+function enqueueThumbnails(paths) {
+    if (!thumbJob.running && thumbQueue.length === 0) {
+        Object.assign(thumbJob, { total: 0, done: 0, generated: 0, failed: 0, orphansRemoved: 0, startedAt: null, finishedAt: null });
+    }
+    for (const p of paths) {
+        if (thumbQueued.has(p)) continue;
+        thumbQueued.add(p);
+        thumbQueue.push(p);
+        thumbJob.total++;
+    }
+    if (thumbQueue.length > 0 && !thumbJob.running) runThumbQueue();
+}
+
+async function runThumbQueue() {
+    thumbJob.running = true;
+    thumbJob.startedAt = new Date().toISOString();
+    thumbJob.finishedAt = null;
+
+    const worker = async () => {
+        while (thumbQueue.length > 0) {
+            const filename = thumbQueue.shift();
+            thumbQueued.delete(filename);
+            try {
+                // 排队期间可能已被删除
+                if (fs.existsSync(path.join(MEDIA_PATH, filename))) {
+                    for (const size of THUMB_PREGENERATE_SIZES) {
+                        const result = await ensureThumb(filename, size);
+                        if (result.generated) thumbJob.generated++;
+                    }
+                }
+            } catch (error) {
+                thumbJob.failed++;
+                console.warn(`[缩略图] 生成失败: ${filename} (${error.message.split('\n')[0]})`);
+            }
+            thumbJob.done++;
+        }
+    };
+    await Promise.all(Array.from({ length: THUMB_CONCURRENCY }, worker));
+
+    thumbJob.running = false;
+    thumbJob.finishedAt = new Date().toISOString();
+    if (thumbJob.generated || thumbJob.failed) {
+        console.log(`[缩略图] 预生成完成：生成 ${thumbJob.generated}，失败 ${thumbJob.failed}，共 ${thumbJob.total} 个文件`);
+    }
+}
+
+// 删除索引中已不存在的媒体对应的缩略图
+function cleanupOrphanThumbs() {
+    if (!mediaIndexReady) return 0; // 索引未建立时无法判断
+    const expected = new Set();
+    for (const { path: p } of db.prepare('SELECT path FROM media').all()) {
+        for (const size of THUMB_SIZES) expected.add(path.basename(thumbCachePath(p, size)));
+    }
+
+    let removed = 0;
+    for (const name of fs.readdirSync(THUMB_PATH)) {
+        if (!name.endsWith('.webp') || expected.has(name)) continue;
+        try {
+            fs.unlinkSync(path.join(THUMB_PATH, name));
+            removed++;
+        } catch (e) {}
+    }
+    if (removed > 0) {
+        console.log(`[缩略图] 已清理 ${removed} 个孤立缩略图`);
+    }
+    return removed;
+}
+
+// 缩略图任务状态
+app.get('/api/thumbnails/status', (req, res) => {
+    res.json({
+        ...thumbJob,
+        queued: thumbQueue.length,
+        concurrency: THUMB_CONCURRENCY,
+        videoDecoder: videoDecoderAvailable
+    });
+});
+
+// 重建缩略图：force=true 时删除全部缓存并重新生成（如安装 ffmpeg 或更换 sharp 后）
+app.post('/api/thumbnails/rebuild', (req, res) => {
+    if (!mediaIndexReady) {
+        return res.status(409).json({ error: '媒体索引尚未建立，请稍后再试' });
+    }
+
+    const force = req.body?.force === true;
+    if (force) {
+        for (const name of fs.readdirSync(THUMB_PATH)) {
+            if (name.endsWith('.webp')) fs.rmSync(path.join(THUMB_PATH, name), { force: true });
+        }
+        db.prepare('UPDATE media SET unsupported = 0').run();
+        videoPosterFailures.clear();
+    }
+
+    const orphansRemoved = force ? 0 : cleanupOrphanThumbs();
+    const paths = db.prepare('SELECT path FROM media ORDER BY COALESCE(taken_at, mtime) DESC').all().map(r => r.path);
+    enqueueThumbnails(paths);
+    thumbJob.orphansRemoved += orphansRemoved;
+
+    console.log(`[缩略图] ${actorName(req)} ${force ? '重建全部' : '补全'}缩略图，共 ${paths.length} 个文件`);
+    res.json({ success: true, queued: paths.length, orphansRemoved });
+});
+
+// =============================================
+// 3.2 媒体上传
+// =============================================
+
+const MEDIA_UPLOAD_LIMIT = 2 * 1024 * 1024 * 1024; // 单个文件最大 2GB
+const UPLOAD_TMP_DIR = path.join(MEDIA_PATH, '.uploads');
+
+// 通过文件头识别真实格式，返回允许的扩展名列表
+function sniffMediaExtensions(head) {
+    if (head.length >= 3 && head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) return ['.jpg', '.jpeg'];
+    if (head.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return ['.png'];
+    if (head.slice(0, 4).toString('latin1') === 'GIF8') return ['.gif'];
+    if (head.slice(0, 4).toString('latin1') === 'RIFF' && head.slice(8, 12).toString('latin1') === 'WEBP') return ['.webp'];
+
+    // ISO 媒体（MP4/MOV/HEIF/3GP）：第 4-8 字节为 box 类型，ftyp 的主品牌区分具体格式
+    const box = head.slice(4, 8).toString('latin1');
+    if (box === 'ftyp') {
+        const brand = head.slice(8, 12).toString('latin1');
+        if (['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return ['.heic', '.heif'];
+        if (['avif', 'avis'].includes(brand)) return ['.avif'];
+        if (/^3g[p2]/.test(brand)) return ['.3gp', '.mp4'];
+        return brand === 'qt  ' ? ['.mov'] : ['.mp4', '.mov', '.m4v', '.3gp'];
+    }
+    if (['moov', 'mdat', 'wide', 'free', 'skip'].includes(box)) return ['.mov', '.mp4', '.m4v'];
+    return [];
+}
+
+// 清理上传文件名：去掉路径与控制字符
+function sanitizeUploadName(name) {
+    const base = path.basename(String(name || '').replace(/\\/g, '/'))
+        .replace(/[\x00-\x1f<>:"|?*]/g, '')
+        .trim();
+    return base.startsWith('.') ? base.slice(1) : base;
+}
+
+// 目标目录中文件已存在时追加序号
+function uniqueMediaPath(dir, filename) {
+    const ext = path.extname(filename);
+    const stem = path.basename(filename, ext);
+    let candidate = filename;
+    for (let i = 1; fs.existsSync(path.join(dir, candidate)); i++) {
+        candidate = `${stem}-${i}${ext}`;
+    }
+    return candidate;
+}
+
+// 上传照片/视频：请求体为文件原始内容（流式写入）
+// 文件名通过 ?filename= 或 X-Filename 指定，?date= 为客户端提供的拍摄时间（无 EXIF 时使用）
+app.post('/api/media', async (req, res) => {
+    let filename;
+    try {
+        filename = sanitizeUploadName(req.query.filename || decodeURIComponent(req.headers['x-filename'] || ''));
+    } catch (e) {
+        return res.status(400).json({ error: '文件名无效' });
+    }
+    const ext = path.extname(filename).toLowerCase();
+    if (!filename || !MEDIA_EXTENSIONS.includes(ext)) {
+        return res.status(400).json({ error: `不支持的文件类型，仅支持 ${MEDIA_EXTENSIONS.join(' ')}` });
+    }
+
+    const declaredSize = parseInt(req.headers['content-length']);
+    if (declaredSize > MEDIA_UPLOAD_LIMIT) {
+        return res.status(413).json({ error: '文件过大' });
+    }
+
+    fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+    const tmpFile = path.join(UPLOAD_TMP_DIR, `${crypto.randomBytes(8).toString('hex')}${ext}`);
+    const removeTmp = () => fs.rmSync(tmpFile, { force: true });
+
+    try {
+        // 流式写入临时文件，同时限制大小
+        let received = 0;
+        const limiter = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                if (received > MEDIA_UPLOAD_LIMIT) {
+                    return callback(Object.assign(new Error('文件过大'), { status: 413 }));
+                }
+                callback(null, chunk);
+            }
+        });
+        await pipeline(req, limiter, fs.createWriteStream(tmpFile));
+
+        if (received === 0) {
+            removeTmp();
+            return res.status(400).json({ error: '文件内容为空' });
+        }
+
+        // 校验文件头与扩展名一致
+        const fd = fs.openSync(tmpFile, 'r');
+        const head = Buffer.alloc(16);
+        fs.readSync(fd, head, 0, 16, 0);
+        fs.closeSync(fd);
+        if (!sniffMediaExtensions(head).includes(ext)) {
+            removeTmp();
+            return res.status(415).json({ error: '文件内容与扩展名不符或格式不受支持' });
+        }
+
+        // 拍摄时间：EXIF / QuickTime > 客户端提供 > 当前时间
+        const { takenAt } = await readMediaMetadata(tmpFile);
+        const clientDate = req.query.date ? new Date(req.query.date) : null;
+        const captureDate = takenAt ? new Date(takenAt)
+            : (clientDate && !isNaN(clientDate) ? clientDate : new Date());
+
+        // 按 年/月 存放
+        const [year, month] = formatLocalDate(captureDate).split('-');
+        const targetDir = path.join(MEDIA_PATH, year, month);
+        fs.mkdirSync(targetDir, { recursive: true });
+        const finalName = uniqueMediaPath(targetDir, filename);
+        const finalPath = path.join(targetDir, finalName);
+        fs.renameSync(tmpFile, finalPath);
+
+        // 相册按修改时间排序，将其设为拍摄时间
+        fs.utimesSync(finalPath, new Date(), captureDate);
+
+        const relPath = path.join(year, month, finalName);
+        const item = toMediaItem(await indexMediaFile(relPath));
+        enqueueThumbnails([relPath]);
+        console.log(`[媒体] ${actorName(req) || '匿名'} 上传: ${item.url} (${(received / 1024 / 1024).toFixed(1)} MB)`);
+
+        res.json(item);
+    } catch (error) {
+        removeTmp();
+        if (error.status === 413) {
+            return res.status(413).json({ error: '文件过大' });
+        }
+        console.error('[媒体] 上传失败:', error.message);
+        if (!res.headersSent) {
+            res.status(500).json({ error: '上传失败: ' + error.message });
+        }
+    }
+});
+
+// 4. 数据导出 API (流式 TAR+GZIP)
+
+const BACKUP_DATA_LIMIT = 200 * 1024 * 1024; // data.json 的最大长度
+const BACKUP_MANIFEST = 'manifest.json';
+
+// 备份数据版本（data.json 的结构），结构变化时加 1 并在 BACKUP_MIGRATIONS 中补充升级步骤
+// 1：单个 baby，奶量/大小便保存在 records 中
+// 2：babies 数组，记录按 baby_id 区分
+// 3：新增 events（喂养/排泄事件）
+// 4：新增 sleeps（睡眠记录）
+// 5：records / events / sleeps 新增 created_by（记录人）
+const BACKUP_SCHEMA_VERSION = 5;
+
+// 旧版本备份逐级升级到当前版本：BACKUP_MIGRATIONS[n] 把版本 n 升级到 n + 1
+const BACKUP_MIGRATIONS = {
+    1: (data) => {
+        data.babies = [{ id: 1, ...data.baby }];
+        data.records.forEach(r => { r.baby_id = r.baby_id || 1; });
+    },
+    // records 中的奶量/大小便在写入数据库后由 migrateRecordEvents 转为事件
+    2: (data) => {
+        data.events = data.events || [];
+    },
+    3: (data) => {
+        data.sleeps = data.sleeps || [];
+    },
+    4: (data) => {
+        [data.records, data.events, data.sleeps].forEach(list => list.forEach(item => {
+            item.created_by = item.created_by || null;
+        }));
+    }
+};
+
+// 推断没有版本号的旧备份（version 固定为 '1.0'）的数据版本
+function detectBackupSchemaVersion(data) {
+    if (Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+    const rows = [...(data.records || []), ...(data.events || []), ...(data.sleeps || [])];
+    if (rows.some(row => row && 'created_by' in row)) return 5;
+    if (data.sleeps) return 4;
+    if (data.events) return 3;
+    if (data.babies) return 2;
+    return 1;
+}
+
+// 升级备份数据到当前版本；来自更新版本的备份直接拒绝，避免丢失无法识别的字段
+function upgradeBackupData(data, schemaVersion) {
+    if (schemaVersion > BACKUP_SCHEMA_VERSION) {
+        throw restoreError(`该备份来自更新版本的应用（数据版本 ${schemaVersion}，当前支持 ${BACKUP_SCHEMA_VERSION}），请先升级应用后再恢复`);
+    }
+    for (let version = schemaVersion; version < BACKUP_SCHEMA_VERSION; version++) {
+        BACKUP_MIGRATIONS[version](data);
+    }
+    data.schemaVersion = BACKUP_SCHEMA_VERSION;
+    return data;
+}
+
+// 在归档末尾追加 manifest.json：格式与数据版本、应用版本、每个文件的大小与 SHA256
+// 校验和在打包过程中计算，媒体文件只需读取一遍
+// 媒体库增量备份的清单带 mediaStore: 'blobs'，其中的媒体文件按 SHA256 保存在 media-blobs 目录
+// 加密备份的清单带 encryption；其 blob 同样加密保存，文件名带口令编号（blobKeyId）
+function* withBackupManifest(entries, { blobFiles = null, cipher = null } = {}) {
+    for (const entry of entries) yield entry;
+    const manifest = {
+        format: 'baby-tracker-backup',
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        appVersion: APP_VERSION,
+        createdAt: new Date().toISOString(),
+        ...(blobFiles && { mediaStore: 'blobs' }),
+        ...(cipher && { encryption: 'aes-256-gcm' }),
+        ...(cipher && blobFiles && { blobKeyId: cipher.keyId }),
+        files: [...entries.map(e => ({ name: e.name, size: e.size, sha256: e.sha256 })), ...(blobFiles || [])]
+    };
+    yield { name: BACKUP_MANIFEST, content: Buffer.from(JSON.stringify(manifest, null, 2), 'utf8') };
+}
+
+// 按清单逐个校验归档中的文件
+// 返回 [{ name, size, sha256, status }]，status: ok | corrupt（内容不符）| missing（清单中有但归档中没有）| extra（不在清单中）
+function checkBackupFiles(manifest, checksums) {
+    const listed = new Map(manifest.files.map(f => [f.name, f]));
+    const files = [];
+    for (const [name, actual] of checksums) {
+        const expected = listed.get(name);
+        let status = 'ok';
+        if (!expected) status = 'extra';
+        else if (expected.size !== actual.size || expected.sha256 !== actual.sha256) status = 'corrupt';
+        files.push({ name, size: actual.size, sha256: actual.sha256, status });
+    }
+    for (const expected of manifest.files) {
+        if (!checksums.has(expected.name)) files.push({ name: expected.name, size: expected.size, sha256: expected.sha256, status: 'missing' });
+    }
+    return files;
+}
+
+// 按清单校验归档内容，返回错误信息（通过时返回 null）
+function verifyBackupManifest(manifest, checksums) {
+    if (!Array.isArray(manifest.files)) return '备份清单格式无效';
+    const failed = checkBackupFiles(manifest, checksums).find(f => f.status !== 'ok');
+    if (!failed) return null;
+    if (failed.status === 'extra') return `备份文件校验失败：${failed.name} 不在清单中`;
+    if (failed.status === 'missing') return `备份文件校验失败：缺少 ${failed.name}`;
+    return `备份文件校验失败：${failed.name} 已损坏`;
+}
+
+// 收集导出/备份内容：data.json 与记录关联的媒体（媒体文件打包时再以流的方式读取）
+// linkedMedia 为 false 时只包含 data.json（媒体库增量备份单独保存媒体）
+// 不导出 settings 表：其中有明文保存的备份口令（backup_passphrase），口令不能随备份一起离开服务器
+function collectBackupContent({ linkedMedia = true } = {}) {
+    const babies = db.prepare('SELECT * FROM baby ORDER BY id').all();
+    const records = db.prepare('SELECT * FROM records ORDER BY date DESC').all();
+    const events = db.prepare('SELECT * FROM events ORDER BY date DESC, time DESC').all();
+    const sleeps = db.prepare('SELECT * FROM sleeps ORDER BY start_at DESC').all();
+    const mediaMeta = db.prepare('SELECT * FROM media_meta').all();
+
+    // 收集关联的媒体
+    const linkedMediaUrls = new Set();
+    records.forEach(r => {
+        if (r.mediaIds) {
+            r.mediaIds.split(',').filter(Boolean).forEach(url => linkedMediaUrls.add(url));
+        }
+    });
+
+    const exportData = {
+        exportTime: new Date().toISOString(),
+        version: String(BACKUP_SCHEMA_VERSION), // 旧版本只检查该字段是否存在
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        appVersion: APP_VERSION,
+        baby: babies[0],
+        babies,
+        records,
+        events,
+        sleeps,
+        mediaMeta,
+        linkedMediaCount: linkedMediaUrls.size
+    };
+
+    const entries = [
+        { name: 'data.json', content: Buffer.from(JSON.stringify(exportData, null, 2), 'utf8') }
+    ];
+    if (linkedMedia) linkedMediaUrls.forEach(url => {
+        const relativePath = url.replace('/media/', '');
+        const fullPath = path.join(MEDIA_PATH, relativePath);
+        if (fs.existsSync(fullPath)) {
+            entries.push({ name: `media/${relativePath}`, file: fullPath });
+        }
+    });
+
+    return { entries, recordCount: records.length, mediaCount: linkedMediaUrls.size };
+}
+
+// 计算条目内容的 SHA256（边读边算），传入 counter 时同时累计字节数
+function hashEntryBody(hash, counter = null) {
+    return async function* (source) {
+        for await (const chunk of source) {
+            hash.update(chunk);
+            if (counter) counter.size += chunk.length;
+            yield chunk;
+        }
+    };
+}
+
+// 读取备份归档：data.json 读入内存，媒体文件先写入临时目录，整个归档读取成功后再恢复
+// 同时计算每个文件的 SHA256，返回 { importData, manifest, checksums, staging, media }
+// dryRun 时只校验、不写入临时目录（staging 为 null）
+// 媒体库增量备份的媒体从 media-blobs 读取，与现有文件内容相同的不再写入
+// 加密的备份和 blob 用 passphrase（或设置中保存的口令）解密
+async function extractBackupArchive(input, { dryRun = false, passphrase = null } = {}) {
+    const staging = dryRun ? null : path.join(MEDIA_PATH, `.restore-${Date.now()}`);
+    const media = [];
+    const checksums = new Map();
+    const names = new Set();
+    let importData = null;
+    let manifest = null;
+
+    const parseJson = (content, name) => {
+        try {
+            return JSON.parse(content.toString('utf8'));
+        } catch (e) {
+            throw restoreError(`备份文件格式无效：${name} 不是有效的 JSON`);
+        }
+    };
+
+    try {
+        for await (const entry of openTarGz(input, passphrase)) {
+            if (entry.type !== 'file') continue;
+            // 同名条目会导致媒体重复移动、校验结果被覆盖，直接拒绝
+            if (names.has(entry.name)) {
+                throw restoreError(`备份文件包含重复的条目，已拒绝恢复: ${entry.name}`);
+            }
+            names.add(entry.name);
+
+            if (entry.name === BACKUP_MANIFEST) {
+                manifest = parseJson(await readEntryBuffer(entry, BACKUP_DATA_LIMIT), BACKUP_MANIFEST);
+                continue;
+            }
+            if (entry.size === 0) {
+                // 空文件不恢复，但仍需出现在校验结果中
+                checksums.set(entry.name, { size: 0, sha256: crypto.createHash('sha256').digest('hex') });
+                continue;
+            }
+
+            if (entry.name === 'data.json') {
+                const content = await readEntryBuffer(entry, BACKUP_DATA_LIMIT);
+                checksums.set(entry.name, { size: content.length, sha256: crypto.createHash('sha256').update(content).digest('hex') });
+                importData = parseJson(content, 'data.json');
+            } else if (entry.name.startsWith('media/')) {
+                const relativePath = entry.name.slice('media/'.length);
+                if (!isSafeMediaPath(relativePath)) {
+                    throw restoreError(`备份文件包含不安全的路径，已拒绝恢复: ${entry.name}`);
+                }
+                const hash = crypto.createHash('sha256');
+                if (dryRun) {
+                    for await (const chunk of entry.body) hash.update(chunk);
+                } else {
+                    const target = path.join(staging, relativePath);
+                    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                    await pipeline(entry.body, hashEntryBody(hash), fs.createWriteStream(target));
+                }
+                checksums.set(entry.name, { size: entry.size, sha256: hash.digest('hex') });
+                media.push(relativePath);
+            }
+        }
+
+        if (manifest && manifest.mediaStore === 'blobs' && Array.isArray(manifest.files)) {
+            await extractBackupBlobs(manifest, { staging, dryRun, checksums, media, names, passphrase });
+        }
+    } catch (error) {
+        if (staging) fs.rmSync(staging, { recursive: true, force: true });
+        throw error;
+    }
+
+    return { importData, manifest, checksums, staging, media };
+}
+
+// 从媒体库增量备份目录读取清单中的媒体（缺失的 blob 不写入 checksums，校验时报告为缺失）
+async function extractBackupBlobs(manifest, { staging, dryRun, checksums, media, names, passphrase }) {
+    const blobDir = getSetting('backup_path', BACKUP_PATH);
+    const keyId = manifest.encryption ? manifest.blobKeyId : null;
+    for (const file of manifest.files) {
+        if (typeof file.name !== 'string' || !file.name.startsWith('media/')) continue;
+        const relativePath = file.name.slice('media/'.length);
+        if (!isSafeMediaPath(relativePath)) {
+            throw restoreError(`备份文件包含不安全的路径，已拒绝恢复: ${file.name}`);
+        }
+        if (names.has(file.name)) {
+            throw restoreError(`备份文件包含重复的条目，已拒绝恢复: ${file.name}`);
+        }
+        names.add(file.name);
+        const blob = backupBlobPath(blobDir, backupBlobName(file.sha256, keyId));
+        if (!blob || !fs.existsSync(blob)) continue;
+
+        // 恢复时跳过与现有文件内容相同的媒体
+        if (!dryRun && await mediaFileHash(relativePath).catch(() => null) === file.sha256) {
+            checksums.set(file.name, { size: file.size, sha256: file.sha256 });
+            continue;
+        }
+
+        const hash = crypto.createHash('sha256');
+        const counter = { size: 0 };
+        const source = keyId
+            ? Readable.from(decryptBackupStream(passphrase, { optional: false })(fs.createReadStream(blob)))
+            : fs.createReadStream(blob);
+        if (dryRun) {
+            for await (const chunk of hashEntryBody(hash, counter)(source)) { /* 只计算校验和 */ }
+        } else {
+            const target = path.join(staging, relativePath);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await pipeline(source, hashEntryBody(hash, counter), fs.createWriteStream(target));
+        }
+        checksums.set(file.name, { size: counter.size, sha256: hash.digest('hex') });
+        media.push(relativePath);
+    }
+}
+
+// 将临时目录中的媒体移动到媒体目录（覆盖同名文件）
+function moveStagedMedia(staging, media) {
+    for (const relativePath of media) {
+        const target = path.join(MEDIA_PATH, relativePath);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(path.join(staging, relativePath), target);
+    }
+    fs.rmSync(staging, { recursive: true, force: true });
+}
+
+app.get('/api/export', async (req, res) => {
+    try {
+        const { entries } = collectBackupContent();
+        // 启用备份加密时导出文件同样加密
+        const cipher = await currentBackupCipher();
+
+        const timestamp = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', cipher ? 'application/octet-stream' : 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="baby-backup-${timestamp}${cipher ? '.tar.gz.enc' : '.tar.gz'}"`);
+        await writeTarGz(entries, res, { cipher });
+
+    } catch (error) {
+        console.error('Export error:', error);
+        // 已开始传输时只能中断连接
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ error: '导出失败: ' + error.message });
+    }
+});
+
+// 5. 数据导入 / 恢复（上传导入与从备份目录恢复共用同一流程）
+
+let restoreRunning = false;
+
+// 归档内容有问题（而不是服务器出错）时返回 400
+function restoreError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// 备份中的媒体路径只能是媒体目录内的普通相对路径：不允许绝对路径、..、隐藏目录和反斜杠
+function isSafeMediaPath(relativePath) {
+    if (!relativePath || relativePath.includes('\0') || relativePath.includes('\\')) return false;
+    if (path.posix.isAbsolute(relativePath) || /^[a-zA-Z]:/.test(relativePath)) return false;
+    if (relativePath.split('/').some(part => part === '' || part.startsWith('.'))) return false;
+    const resolved = path.resolve(MEDIA_PATH, relativePath);
+    return resolved.startsWith(path.resolve(MEDIA_PATH) + path.sep);
+}
+
+// 校验（已升级到当前版本的）data.json，返回错误信息（通过时返回 null）
+function validateBackupData(data) {
+    const babies = data.babies;
+    if (!Array.isArray(babies) || babies.length === 0 || babies.some(b => !b || !b.name)) {
+        return '备份文件格式无效：宝宝档案不完整';
+    }
+    for (const key of ['events', 'sleeps']) {
+        if (!Array.isArray(data[key])) return `备份文件格式无效：${key} 不是数组`;
+    }
+    if (data.mediaMeta !== undefined && !Array.isArray(data.mediaMeta)) return '备份文件格式无效：mediaMeta 不是数组';
+    if (data.records.some(r => !r || !r.date)) return '备份文件格式无效：存在缺少日期的记录';
+    if (data.events.some(e => !e || !e.type || !e.date)) return '备份文件格式无效：存在不完整的事件';
+    if (data.sleeps.some(s => !s || !s.start_at)) return '备份文件格式无效：存在不完整的睡眠记录';
+
+    const babyIds = new Set(babies.map(b => b.id));
+    if (babyIds.size !== babies.length) return '备份文件格式无效：宝宝档案 ID 重复';
+    const orphan = [...data.records, ...data.events, ...data.sleeps]
+        .some(item => item.baby_id && !babyIds.has(item.baby_id));
+    if (orphan) return '备份文件格式无效：存在不属于任何宝宝的记录';
+
+    // 恢复时保留原 ID（恢复预览按 ID 比对差异），ID 重复的备份无法写入
+    for (const key of ['records', 'events', 'sleeps']) {
+        const ids = data[key].map(backupRowId).filter(Boolean);
+        if (new Set(ids).size !== ids.length) return `备份文件格式无效：${key} 中存在重复的 ID`;
+    }
+    return null;
+}
+
+// 恢复前快照：当前数据 + 关联媒体 + 即将被覆盖的媒体文件
+async function createSafetySnapshot(incomingMedia) {
+    const { entries } = collectBackupContent();
+    const included = new Set(entries.map(e => e.name));
+    for (const relativePath of incomingMedia) {
+        const fullPath = path.join(MEDIA_PATH, relativePath);
+        if (!included.has(`media/${relativePath}`) && fs.existsSync(fullPath)) {
+            entries.push({ name: `media/${relativePath}`, file: fullPath });
+        }
+    }
+    const { filename } = await writeBackupFile(getSetting('backup_path', BACKUP_PATH), entries, { suffix: '-pre-restore' });
+    return filename;
+}
+
+// 用 data.json 替换数据库内容（调用方负责放在事务中）
+function restoreDatabase(importData) {
+    // 宝宝信息（旧版备份的单个 baby 已由 BACKUP_MIGRATIONS 转为 babies）
+    const defaultBabyId = restoreBabies(importData);
+
+    // 成长记录（完整字段，旧版备份中的奶量/大小便由 restoreEvents 转为事件）
+    db.prepare('DELETE FROM records').run();
+    const insertRecord = db.prepare(
+        'INSERT INTO records (id, baby_id, date, time, height, weight, head, milk_amount, poop, pee, note, mediaIds, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    );
+    importData.records.forEach(r => {
+        insertRecord.run(
+            backupRowId(r), r.baby_id || defaultBabyId, r.date, r.time || '', r.height ?? null, r.weight ?? null, r.head ?? null,
+            r.milk_amount || 0, r.poop || '', r.pee || '', r.note || '', r.mediaIds || '', r.created_by || null
+        );
+    });
+
+    // 喂养/排泄事件、睡眠
+    restoreEvents(importData, defaultBabyId);
+    restoreSleeps(importData, defaultBabyId);
+
+    // 媒体元数据（旧版备份没有该字段时保留现有数据）
+    if (Array.isArray(importData.mediaMeta)) {
+        db.prepare('DELETE FROM media_meta').run();
+        const insertMeta = db.prepare(
+            'INSERT OR REPLACE INTO media_meta (filename, title, description, customDate) VALUES (?, ?, ?, ?)'
+        );
+        importData.mediaMeta.forEach(m => {
+            insertMeta.run(m.filename, m.title, m.description, m.customDate);
+        });
+    }
+}
+
+// 检查读取到的归档：按清单校验文件，升级旧版本数据并校验内容；有问题时抛出 400 错误
+function prepareBackupData(archive) {
+    const { importData, manifest, checksums } = archive;
+    if (!importData) throw restoreError('无效的备份文件：缺少 data.json');
+    if (!importData.version || !(importData.babies || importData.baby) || !Array.isArray(importData.records)) {
+        throw restoreError('备份文件格式无效');
+    }
+
+    // 没有清单的是旧版本备份，无法校验文件
+    if (manifest) {
+        const mismatch = verifyBackupManifest(manifest, checksums);
+        if (mismatch) throw restoreError(mismatch);
+    }
+
+    const schemaVersion = manifest?.schemaVersion ?? detectBackupSchemaVersion(importData);
+    upgradeBackupData(importData, schemaVersion);
+
+    const invalid = validateBackupData(importData);
+    if (invalid) throw restoreError(invalid);
+    return { schemaVersion, appVersion: manifest?.appVersion || importData.appVersion || null };
+}
+
+// =============================================
+// 恢复预览：比较备份与当前数据，不做任何修改
+// =============================================
+
+const RESTORE_PREVIEW_SAMPLES = 20; // 每类差异最多列出的条目数
+const RESTORE_DIFF_FIELDS = {
+    records: ['baby_id', 'date', 'time', 'height', 'weight', 'head', 'note', 'mediaIds'],
+    events: ['baby_id', 'type', 'date', 'time', 'amount', 'side', 'duration', 'name', 'dose', 'poop', 'pee', 'note'],
+    sleeps: ['baby_id', 'start_at', 'end_at', 'note']
+};
+const PROFILE_DIFF_FIELDS = ['name', 'birthDate', 'gender', 'bloodType', 'avatar'];
+
+// 空字符串与缺失字段视为相同
+function diffValue(value) {
+    return value === undefined || value === '' ? null : value;
+}
+
+// 按 ID 比较一张表：备份中没有 ID 或 ID 不存在的行算作新增，当前有而备份没有的行将被删除
+// describe(row) 生成列表中显示的摘要
+function diffRows(current, incoming, fields, defaultBabyId, describe) {
+    const currentById = new Map(current.map(row => [row.id, row]));
+    const matched = new Set();
+    const result = { added: 0, removed: 0, modified: 0, unchanged: 0, samples: [] };
+    const sample = (action, row) => {
+        if (result.samples.length < RESTORE_PREVIEW_SAMPLES) result.samples.push({ action, ...describe(row) });
+    };
+
+    for (const row of incoming) {
+        const normalized = { ...row, baby_id: row.baby_id || defaultBabyId };
+        const existing = currentById.get(backupRowId(row));
+        if (!existing) {
+            result.added++;
+            sample('added', normalized);
+            continue;
+        }
+        matched.add(existing.id);
+        if (fields.some(field => diffValue(existing[field]) !== diffValue(normalized[field]))) {
+            result.modified++;
+            sample('modified', normalized);
+        } else {
+            result.unchanged++;
+        }
+    }
+    for (const row of current) {
+        if (matched.has(row.id)) continue;
+        result.removed++;
+        sample('removed', row);
+    }
+    return result;
+}
+
+// 比较宝宝档案，只列出有变化的档案及字段
+function diffProfiles(current, incoming) {
+    const currentById = new Map(current.map(b => [b.id, b]));
+    const incomingIds = new Set(incoming.map(b => b.id));
+    const profiles = [];
+    for (const baby of incoming) {
+        const existing = currentById.get(baby.id);
+        if (!existing) {
+            profiles.push({ id: baby.id, name: baby.name, action: 'added' });
+            continue;
+        }
+        const changes = PROFILE_DIFF_FIELDS
+            .filter(field => diffValue(existing[field]) !== diffValue(baby[field]))
+            .map(field => ({ field, current: existing[field] ?? null, incoming: baby[field] ?? null }));
+        if (changes.length) profiles.push({ id: baby.id, name: baby.name, action: 'modified', changes });
+    }
+    for (const baby of current) {
+        if (!incomingIds.has(baby.id)) profiles.push({ id: baby.id, name: baby.name, action: 'removed' });
+    }
+    return profiles;
+}
+
+// 计算本地文件的 SHA256
+async function hashFile(file) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+// 媒体文件的 SHA256：文件大小和修改时间与索引一致时使用索引中缓存的值
+async function mediaFileHash(relativePath) {
+    const fullPath = path.join(MEDIA_PATH, relativePath);
+    const stat = await fs.promises.stat(fullPath);
+    const row = db.prepare('SELECT size, mtime, sha256 FROM media WHERE path = ?').get(relativePath);
+    const indexed = row && row.size === stat.size && row.mtime === stat.mtime.toISOString();
+    if (indexed && row.sha256) return row.sha256;
+
+    const sha256 = await hashFile(fullPath);
+    if (indexed) db.prepare('UPDATE media SET sha256 = ? WHERE path = ?').run(sha256, relativePath);
+    return sha256;
+}
+
+// 媒体文件：新写入 / 覆盖（内容不同）/ 与现有文件相同
+async function diffMedia(media, checksums) {
+    const result = { written: [], overwritten: [], unchanged: 0 };
+    for (const relativePath of media) {
+        const fullPath = path.join(MEDIA_PATH, relativePath);
+        const incoming = checksums.get(`media/${relativePath}`);
+        let stat = null;
+        try {
+            stat = await fs.promises.stat(fullPath);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        if (!stat) result.written.push(relativePath);
+        else if (stat.size !== incoming.size || await mediaFileHash(relativePath) !== incoming.sha256) result.overwritten.push(relativePath);
+        else result.unchanged++;
+    }
+    return {
+        written: result.written.length,
+        overwritten: result.overwritten.length,
+        unchanged: result.unchanged,
+        writtenSamples: result.written.slice(0, RESTORE_PREVIEW_SAMPLES),
+        overwrittenSamples: result.overwritten.slice(0, RESTORE_PREVIEW_SAMPLES)
+    };
+}
+
+// 恢复后数据库与媒体目录会发生的变化（importData 须已通过 prepareBackupData）
+async function previewRestore(importData, media, checksums) {
+    const defaultBabyId = importData.babies[0].id;
+    const current = {
+        babies: db.prepare('SELECT * FROM baby ORDER BY id').all(),
+        records: db.prepare('SELECT * FROM records ORDER BY date DESC, time DESC').all(),
+        events: db.prepare('SELECT * FROM events ORDER BY date DESC, time DESC').all(),
+        sleeps: db.prepare('SELECT * FROM sleeps ORDER BY start_at DESC').all()
+    };
+    const babyName = (id) => (importData.babies.find(b => b.id === id) || current.babies.find(b => b.id === id) || {}).name || null;
+
+    return {
+        profiles: diffProfiles(current.babies, importData.babies),
+        records: diffRows(current.records, importData.records, RESTORE_DIFF_FIELDS.records, defaultBabyId, r => ({
+            id: r.id ?? null, baby: babyName(r.baby_id), date: r.date, time: r.time || '', note: r.note || ''
+        })),
+        events: diffRows(current.events, importData.events, RESTORE_DIFF_FIELDS.events, defaultBabyId, e => ({
+            id: e.id ?? null, baby: babyName(e.baby_id), type: e.type, date: e.date, time: e.time || ''
+        })),
+        sleeps: diffRows(current.sleeps, importData.sleeps, RESTORE_DIFF_FIELDS.sleeps, defaultBabyId, s => ({
+            id: s.id ?? null, baby: babyName(s.baby_id), start_at: s.start_at, end_at: s.end_at || null
+        })),
+        media: await diffMedia(media, checksums)
+    };
+}
+
+// 校验备份文件并生成恢复预览；备份本身有问题时返回 valid: false 与原因，不抛出错误
+// 加密的备份缺少口令或口令错误时带 needPassphrase
+async function verifyBackup(input, passphrase = null) {
+    let archive;
+    try {
+        archive = await extractBackupArchive(input, { dryRun: true, passphrase });
+    } catch (error) {
+        if (!error.status && error.code && !error.code.startsWith('Z_')) throw error;
+        return {
+            valid: false,
+            error: error.status ? error.message : `备份文件已损坏: ${error.message}`,
+            ...(error.needPassphrase && { needPassphrase: true }),
+            files: []
+        };
+    }
+
+    const { importData, manifest, checksums, media } = archive;
+    const files = manifest && Array.isArray(manifest.files)
+        ? checkBackupFiles(manifest, checksums)
+        : [...checksums].map(([name, c]) => ({ name, size: c.size, sha256: c.sha256, status: 'unchecked' }));
+
+    let info;
+    try {
+        info = prepareBackupData(archive);
+    } catch (error) {
+        if (!error.status) throw error;
+        return { valid: false, error: error.message, hasManifest: !!manifest, files };
+    }
+
+    return {
+        valid: true,
+        hasManifest: !!manifest,
+        schemaVersion: info.schemaVersion,
+        appVersion: info.appVersion,
+        migrated: info.schemaVersion < BACKUP_SCHEMA_VERSION,
+        exportTime: importData.exportTime || null,
+        files,
+        diff: await previewRestore(importData, media, checksums)
+    };
+}
+
+// 恢复流程：
+// 1. 完整读取归档，校验结构和路径，媒体解压到临时目录
+// 2. 按清单校验文件，升级旧版本数据，校验 data.json
+// 3. 生成当前数据的快照（baby-backup-*-pre-restore.tar.gz）
+// 4. 在一个事务中替换数据库内容并将媒体文件移动到媒体目录，任何一步失败都会回滚数据库
+async function restoreBackup(input, sourceName, passphrase = null) {
+    if (restoreRunning) throw restoreError('已有恢复任务正在进行，请稍后再试', 409);
+    restoreRunning = true;
+
+    let archive = null;
+    try {
+        try {
+            archive = await extractBackupArchive(input, { passphrase });
+        } catch (error) {
+            // 解压/解析失败说明文件损坏；磁盘写入等系统错误仍按服务器错误处理
+            if (error.status || (error.code && !error.code.startsWith('Z_'))) throw error;
+            throw restoreError(`备份文件已损坏: ${error.message}`);
+        }
+
+        const { importData, media } = archive;
+        const { schemaVersion, appVersion } = prepareBackupData(archive);
+        const migrated = schemaVersion < BACKUP_SCHEMA_VERSION;
+
+        let snapshot;
+        try {
+            snapshot = await createSafetySnapshot(media);
+        } catch (error) {
+            throw new Error(`无法创建恢复前快照，已取消恢复: ${error.message}`);
+        }
+
+        // 媒体移动失败时数据库回滚，已被覆盖的媒体可从快照还原
+        db.transaction(() => {
+            restoreDatabase(importData);
+            try {
+                moveStagedMedia(archive.staging, media);
+            } catch (error) {
+                throw new Error(`媒体文件写入失败，数据未恢复（已覆盖的媒体可从快照 ${snapshot} 还原）: ${error.message}`);
+            }
+        })();
+        archive = null;
+        scheduleMediaSync(0);
+
+        const source = `数据版本 ${schemaVersion}${appVersion ? `，应用版本 ${appVersion}` : ''}${migrated ? `，已升级到版本 ${BACKUP_SCHEMA_VERSION}` : ''}`;
+        console.log(`[恢复] 成功从 ${sourceName}（${source}）恢复 ${importData.records.length} 条记录、${media.length} 个媒体文件，恢复前快照: ${snapshot}`);
+        return {
+            recordCount: importData.records.length,
+            mediaCount: media.length,
+            snapshot,
+            schemaVersion,
+            appVersion,
+            migrated
+        };
+    } finally {
+        restoreRunning = false;
+        if (archive) fs.rmSync(archive.staging, { recursive: true, force: true });
+    }
+}
+
+// 加密备份的口令：JSON 请求体中的 passphrase，或上传文件时的 X-Backup-Passphrase 请求头（encodeURIComponent 编码）
+// 未提供时使用设置中保存的口令
+function requestPassphrase(req) {
+    if (req.body && typeof req.body.passphrase === 'string' && req.body.passphrase) return req.body.passphrase;
+    const header = req.headers['x-backup-passphrase'];
+    if (!header) return null;
+    try {
+        return decodeURIComponent(header);
+    } catch (e) {
+        return null;
+    }
+}
+
+// 导入上传的备份（请求体为 .tar.gz 或 .tar.gz.enc，流式解析）
+app.post('/api/import', async (req, res) => {
+    try {
+        const result = await restoreBackup(req, '上传的文件', requestPassphrase(req));
+        res.json({
+            success: true,
+            message: `导入成功！恢复了 ${result.recordCount} 条记录`,
+            ...result
+        });
+    } catch (error) {
+        console.error('Import error:', error.message);
+        res.status(error.status || 500).json({ error: '导入失败: ' + error.message, ...(error.needPassphrase && { needPassphrase: true }) });
+    }
+});
+
+// =============================================
+// 6. 定时备份功能
+// =============================================
+
+// 获取设置
+function getSetting(key, defaultValue = null) {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? row.value : defaultValue;
+}
+
+// 保存设置
+function setSetting(key, value) {
+    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run(key, value);
+}
+
+// 备份文件名中的时间：YYYY-MM-DD_HH-MM-SS
+function formatBackupTimestamp(now) {
+    return `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-${String(now.getDate()).padStart(2,'0')}_${String(now.getHours()).padStart(2,'0')}-${String(now.getMinutes()).padStart(2,'0')}-${String(now.getSeconds()).padStart(2,'0')}`;
+}
+
+// 备份目录中的文件名（不允许包含路径），加密的备份以 .tar.gz.enc 结尾
+function isBackupFilename(filename) {
+    return filename.startsWith('baby-backup-') && (filename.endsWith('.tar.gz') || filename.endsWith('.tar.gz.enc')) &&
+        path.basename(filename) === filename;
+}
+
+// 启用备份加密时返回本次备份的加密参数，否则返回 null
+async function currentBackupCipher() {
+    if (getSetting('backup_encryption', 'false') !== 'true') return null;
+    const passphrase = getSetting('backup_passphrase');
+    if (!passphrase) throw new Error('已启用备份加密，但尚未设置备份口令');
+    return createBackupCipher(passphrase, getSetting('backup_passphrase_id'));
+}
+
+// 写入备份文件：先写入临时文件，完成后再改名，suffix 用于区分恢复前快照等
+// 未指定 cipher 时按当前设置决定是否加密
+async function writeBackupFile(backupDir, entries, { suffix = '', blobFiles = null, cipher } = {}) {
+    if (cipher === undefined) cipher = await currentBackupCipher();
+
+    // 确保备份目录存在
+    if (!fs.existsSync(backupDir)) {
+        fs.mkdirSync(backupDir, { recursive: true });
+    }
+
+    // 生成文件名（同一秒内多次备份时追加序号，不覆盖已有文件）
+    const base = `baby-backup-${formatBackupTimestamp(new Date())}${suffix}`;
+    const extension = cipher ? '.tar.gz.enc' : '.tar.gz';
+    let filename = `${base}${extension}`;
+    for (let i = 1; fs.existsSync(path.join(backupDir, filename)); i++) {
+        filename = `${base}-${i}${extension}`;
+    }
+    const filepath = path.join(backupDir, filename);
+    const tempPath = `${filepath}.tmp`;
+    try {
+        await writeTarGz(entries, fs.createWriteStream(tempPath), { blobFiles, cipher });
+        fs.renameSync(tempPath, filepath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+    return { filename, size: fs.statSync(filepath).size };
+}
+
+// ----- 媒体库增量备份 -----
+// 媒体按内容保存在 <备份目录>/media-blobs/<SHA256 前两位>/<SHA256>，内容相同的文件只保存一份；
+// 每次备份的归档只包含 data.json 和清单，清单列出当时整个媒体库的路径、大小与 SHA256
+// 启用加密时 blob 同样加密，保存为 <SHA256>-<口令编号>.enc（修改口令后重新保存，旧备份仍引用旧口令的 blob）
+const BACKUP_BLOB_DIR = 'media-blobs';
+let libraryBackupsRunning = 0;
+
+function backupBlobName(sha256, keyId = null) {
+    return keyId ? `${sha256}-${keyId}.enc` : sha256;
+}
+
+// blob 路径（文件名格式无效时返回 null）
+function backupBlobPath(backupDir, name) {
+    if (typeof name !== 'string' || !/^[0-9a-f]{64}(-[0-9a-f]{8}\.enc)?$/.test(name)) return null;
+    return path.join(backupDir, BACKUP_BLOB_DIR, name.slice(0, 2), name);
+}
+
+// 把一个媒体文件存入 blob 目录，已存在相同内容时跳过；返回 { size, sha256, stored }
+async function storeMediaBlob(backupDir, relativePath, cipher = null) {
+    const keyId = cipher ? cipher.keyId : null;
+    const fullPath = path.join(MEDIA_PATH, relativePath);
+    const stat = await fs.promises.stat(fullPath);
+    const row = db.prepare('SELECT size, mtime, sha256 FROM media WHERE path = ?').get(relativePath);
+    const indexed = row && row.size === stat.size && row.mtime === stat.mtime.toISOString();
+    if (indexed && row.sha256 && fs.existsSync(backupBlobPath(backupDir, backupBlobName(row.sha256, keyId)))) {
+        return { size: stat.size, sha256: row.sha256, stored: false };
+    }
+
+    // 边复制边计算 SHA256，文件只读取一遍
+    const blobRoot = path.join(backupDir, BACKUP_BLOB_DIR);
+    await fs.promises.mkdir(blobRoot, { recursive: true });
+    const tempPath = path.join(blobRoot, `.tmp-${process.pid}-${crypto.randomBytes(6).toString('hex')}`);
+    const hash = crypto.createHash('sha256');
+    const counter = { size: 0 };
+    try {
+        const steps = [fs.createReadStream(fullPath), hashEntryBody(hash, counter)];
+        if (cipher) steps.push(encryptBackupStream(cipher));
+        await pipeline(...steps, fs.createWriteStream(tempPath));
+        const sha256 = hash.digest('hex');
+        const { size } = counter;
+        if (indexed) db.prepare('UPDATE media SET sha256 = ? WHERE path = ?').run(sha256, relativePath);
+
+        const target = backupBlobPath(backupDir, backupBlobName(sha256, keyId));
+        if (fs.existsSync(target)) {
+            await fs.promises.rm(tempPath, { force: true });
+            return { size, sha256, stored: false };
+        }
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.rename(tempPath, target);
+        return { size, sha256, stored: true };
+    } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+// 收集媒体库增量备份：data.json + 整个媒体库（存入 blob 目录）
+async function collectLibraryBackup(backupDir, cipher = null) {
+    await syncMediaIndex();
+    const { entries, recordCount } = collectBackupContent({ linkedMedia: false });
+    const paths = db.prepare('SELECT path FROM media ORDER BY path').all().map(row => row.path);
+
+    const blobFiles = [];
+    let storedCount = 0;
+    let storedBytes = 0;
+    for (const relativePath of paths) {
+        let blob;
+        try {
+            blob = await storeMediaBlob(backupDir, relativePath, cipher);
+        } catch (error) {
+            if (error.code === 'ENOENT') continue; // 索引更新后被删除的文件
+            throw error;
+        }
+        blobFiles.push({ name: `media/${relativePath}`, size: blob.size, sha256: blob.sha256 });
+        if (blob.stored) {
+            storedCount++;
+            storedBytes += blob.size;
+        }
+    }
+    return { entries, blobFiles, recordCount, mediaCount: blobFiles.length, storedCount, storedBytes };
+}
+
+// 每个归档引用的 blob 文件名（按文件名缓存，文件大小或修改时间变化时重新读取）
+// 加密的归档用设置中保存的口令读取，口令修改后旧归档无法读取时媒体库清理会跳过
+const backupBlobRefs = new Map();
+
+function manifestBlobRefs(manifest, blobFiles = manifest && manifest.files) {
+    if (!manifest || manifest.mediaStore !== 'blobs' || !Array.isArray(blobFiles)) return [];
+    const keyId = manifest.encryption ? manifest.blobKeyId : null;
+    return blobFiles.filter(f => f.name.startsWith('media/')).map(f => backupBlobName(f.sha256, keyId));
+}
+
+async function readBackupBlobRefs(file) {
+    const stat = fs.statSync(file);
+    const cached = backupBlobRefs.get(file);
+    if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) return cached.refs;
+
+    let manifest = null;
+    for await (const entry of openTarGz(fs.createReadStream(file))) {
+        if (entry.type === 'file' && entry.name === BACKUP_MANIFEST) {
+            manifest = JSON.parse((await readEntryBuffer(entry, BACKUP_DATA_LIMIT)).toString('utf8'));
+        }
+    }
+    const refs = manifestBlobRefs(manifest);
+    backupBlobRefs.set(file, { size: stat.size, mtimeMs: stat.mtimeMs, refs });
+    return refs;
+}
+
+// 写入一次媒体库增量备份；归档写完之前新存入的 blob 还没有被引用，期间不能清理
+async function writeLibraryBackup(backupDir) {
+    libraryBackupsRunning++;
+    try {
+        const cipher = await currentBackupCipher();
+        const content = await collectLibraryBackup(backupDir, cipher);
+        const file = await writeBackupFile(backupDir, content.entries, { blobFiles: content.blobFiles, cipher });
+
+        // 直接记录引用，之后清理时不必再解密读取清单
+        const filepath = path.join(backupDir, file.filename);
+        const stat = fs.statSync(filepath);
+        const manifest = { mediaStore: 'blobs', ...(cipher && { encryption: 'aes-256-gcm', blobKeyId: cipher.keyId }) };
+        backupBlobRefs.set(filepath, { size: stat.size, mtimeMs: stat.mtimeMs, refs: manifestBlobRefs(manifest, content.blobFiles) });
+        return { ...content, ...file };
+    } finally {
+        libraryBackupsRunning--;
+    }
+}
+
+// 删除不再被任何备份引用的 blob
+// 有增量备份或恢复正在进行时跳过（新写入的 blob 还没有归档引用）；无法读取的归档会让本次清理中止，避免误删
+async function pruneBackupBlobs(backupDir) {
+    const blobRoot = path.join(backupDir, BACKUP_BLOB_DIR);
+    if (libraryBackupsRunning > 0 || restoreRunning || !fs.existsSync(blobRoot)) return null;
+
+    const archives = fs.readdirSync(backupDir).filter(isBackupFilename).map(f => path.join(backupDir, f));
+    const referenced = new Set();
+    // 用旧口令加密、当前口令无法读取的归档只可能引用旧口令加密的 blob，这些 blob 全部保留
+    let keepOldKeyBlobs = false;
+    for (const file of archives) {
+        try {
+            (await readBackupBlobRefs(file)).forEach(name => referenced.add(name));
+        } catch (error) {
+            if (error.needPassphrase) {
+                keepOldKeyBlobs = true;
+                continue;
+            }
+            console.error(`[备份] 无法读取 ${path.basename(file)}，跳过媒体库清理:`, error.message);
+            return null;
+        }
+    }
+    const currentKeyBlob = `-${getSetting('backup_passphrase_id')}.enc`;
+    for (const file of backupBlobRefs.keys()) {
+        if (!archives.includes(file)) backupBlobRefs.delete(file);
+    }
+
+    let removed = 0;
+    let freed = 0;
+    for (const dir of fs.readdirSync(blobRoot)) {
+        const dirPath = path.join(blobRoot, dir);
+        // 中断的复制留下的临时文件
+        if (dir.startsWith('.tmp-')) {
+            fs.rmSync(dirPath, { force: true });
+            continue;
+        }
+        if (!fs.statSync(dirPath).isDirectory()) continue;
+        for (const name of fs.readdirSync(dirPath)) {
+            if (referenced.has(name)) continue;
+            if (keepOldKeyBlobs && name.endsWith('.enc') && !name.endsWith(currentKeyBlob)) continue;
+            const blobPath = path.join(dirPath, name);
+            freed += fs.statSync(blobPath).size;
+            fs.unlinkSync(blobPath);
+            removed++;
+        }
+        if (fs.readdirSync(dirPath).length === 0) fs.rmdirSync(dirPath);
+    }
+    if (removed) console.log(`[备份] 已清理 ${removed} 个不再被引用的媒体文件（${(freed / 1024 / 1024).toFixed(1)} MB）`);
+    return { removed, freed };
+}
+
+// 执行备份（复用导出逻辑）
+// backup_media 为 library 时备份整个媒体库（增量），否则只打包记录关联的媒体
+async function performBackup(backupDir) {
+    const library = getSetting('backup_media', 'linked') === 'library';
+    try {
+        let content;
+        if (library) {
+            content = await writeLibraryBackup(backupDir);
+        } else {
+            content = collectBackupContent();
+            Object.assign(content, await writeBackupFile(backupDir, content.entries));
+        }
+        const { filename, size, recordCount, mediaCount } = content;
+
+        // 记录备份日志
+        db.prepare(
+            'INSERT INTO backup_logs (timestamp, filename, size, recordCount, mediaCount, status) VALUES (?, ?, ?, ?, ?, ?)'
+        ).run(
+            new Date().toISOString(),
+            filename,
+            size,
+            recordCount,
+            mediaCount,
+            'success'
+        );
+
+        // 按保留策略清理旧备份
+        applyBackupRetention(backupDir);
+        // 归档删除后才能确定哪些 blob 已无引用
+        await pruneBackupBlobs(backupDir).catch(error => console.error('[备份] 媒体库清理失败:', error.message));
+
+        if (library) {
+            console.log(`[备份] 成功: ${filename} (${(size / 1024).toFixed(1)} KB)，媒体库 ${mediaCount} 个文件，新增 ${content.storedCount} 个（${(content.storedBytes / 1024 / 1024).toFixed(1)} MB）`);
+        } else {
+            console.log(`[备份] 成功: ${filename} (${(size / 1024).toFixed(1)} KB)`);
+        }
+
+        // 上传到远程目标（各目标的结果单独记录在 backup_logs 中）
+        const targets = await uploadToBackupTargets(backupDir, filename, size);
+        return {
+            success: true,
+            filename,
+            size,
+            ...(library && { mediaCount, storedCount: content.storedCount, storedBytes: content.storedBytes }),
+            targets
+        };
+
+    } catch (error) {
+        console.error('[备份] 失败:', error.message);
+
+        db.prepare(
+            'INSERT INTO backup_logs (timestamp, filename, size, recordCount, mediaCount, status) VALUES (?, ?, ?, ?, ?, ?)'
+        ).run(new Date().toISOString(), '', 0, 0, 0, `error: ${error.message}`);
+        notifyBackupProblem('backup_failed', '备份失败', `备份目录: ${backupDir}\n错误: ${error.message}`);
+
+        return { success: false, error: error.message };
+    }
+}
+
+// ----- 备份保留策略 -----
+// count：保留最近 N 个（backup_max_count，远程目标使用各自的保留数量）
+// gfs：祖父-父-子，按天/周/月/年分别保留最近若干个周期，每个周期保留其中最新的备份
+// 固定的备份、导入的备份和恢复前快照不参与清理，最新的一个备份总是保留
+const BACKUP_GFS_PERIODS = [
+    { key: 'daily', setting: 'backup_keep_daily', defaultValue: '7', bucket: d => formatLocalDate(d) },
+    { key: 'weekly', setting: 'backup_keep_weekly', defaultValue: '4', bucket: d => formatLocalDate(new Date(d.getFullYear(), d.getMonth(), d.getDate() - (d.getDay() + 6) % 7)) },
+    { key: 'monthly', setting: 'backup_keep_monthly', defaultValue: '12', bucket: d => formatLocalDate(d).slice(0, 7) },
+    { key: 'yearly', setting: 'backup_keep_yearly', defaultValue: '0', bucket: d => String(d.getFullYear()) }
+];
+
+// 同一秒内重名时 writeBackupFile 会在后缀后追加序号（如 -pre-restore-1.tar.gz）
+function isImportedBackup(filename) {
+    return /-imported(-\d+)?\.tar\.gz(\.enc)?$/.test(filename);
+}
+
+function isPreRestoreBackup(filename) {
+    return /-pre-restore(-\d+)?\.tar\.gz(\.enc)?$/.test(filename);
+}
+
+// 文件名中的备份时间，无法识别时返回 null
+function parseBackupTime(filename) {
+    const match = filename.match(/^baby-backup-(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})/);
+    return match ? new Date(+match[1], match[2] - 1, +match[3], +match[4], +match[5], +match[6]) : null;
+}
+
+// 备份时间：取文件名中的时间，无法识别时使用修改时间
+function backupFileTime(backupDir, filename) {
+    return parseBackupTime(filename) || fs.statSync(path.join(backupDir, filename)).mtime;
+}
+
+// 计算每个备份的保留原因：Map<文件名, 原因数组>，数组为空表示下次清理时删除
+// files 为 [{ filename, time }]，maxCount 为「保留最近 N 个」时的数量
+// 原因：pinned（固定）、imported（导入）、restore（恢复前快照）、latest（最新）、recent（最近 N 个）、daily/weekly/monthly/yearly
+function planRetention(files, maxCount) {
+    const pinned = new Set(db.prepare('SELECT filename FROM backup_pins').all().map(r => r.filename));
+    const sorted = [...files].sort((a, b) => b.time - a.time || b.filename.localeCompare(a.filename));
+
+    const plan = new Map(sorted.map(f => [f.filename, []]));
+    const rotating = [];
+    for (const f of sorted) {
+        if (pinned.has(f.filename)) plan.get(f.filename).push('pinned');
+        else if (isImportedBackup(f.filename)) plan.get(f.filename).push('imported');
+        else if (isPreRestoreBackup(f.filename)) plan.get(f.filename).push('restore');
+        else rotating.push(f);
+    }
+    if (rotating.length > 0) plan.get(rotating[0].filename).push('latest');
+
+    if (getSetting('backup_retention', 'count') === 'gfs') {
+        for (const period of BACKUP_GFS_PERIODS) {
+            const keep = parseInt(getSetting(period.setting, period.defaultValue));
+            const buckets = new Set();
+            for (const f of rotating) {
+                if (buckets.size >= keep) break;
+                const bucket = period.bucket(f.time);
+                if (buckets.has(bucket)) continue;
+                buckets.add(bucket);
+                plan.get(f.filename).push(period.key);
+            }
+        }
+    } else {
+        rotating.slice(0, maxCount).forEach(f => plan.get(f.filename).push('recent'));
+    }
+    return plan;
+}
+
+// 本地备份目录的保留计划
+function planBackupRetention(backupDir) {
+    const files = fs.readdirSync(backupDir)
+        .filter(isBackupFilename)
+        .map(filename => ({ filename, time: backupFileTime(backupDir, filename) }));
+    return planRetention(files, parseInt(getSetting('backup_max_count', '10')));
+}
+
+// 按保留策略删除旧备份，返回删除的文件名
+function applyBackupRetention(backupDir) {
+    const removed = [];
+    for (const [filename, reasons] of planBackupRetention(backupDir)) {
+        if (reasons.length > 0) continue;
+        fs.unlinkSync(path.join(backupDir, filename));
+        removed.push(filename);
+    }
+    if (removed.length > 0) console.log(`[备份] 按保留策略清理了 ${removed.length} 个旧备份: ${removed.join(', ')}`);
+    return removed;
+}
+
+// ----- Cron 表达式 -----
+// 标准 5 段：分 时 日 月 周，支持 *、a-b、*/n、a-b/n、a/n 和逗号列表；周的 0 和 7 都表示周日
+// 日和周都有限制时满足其一即可（与 cron 相同）
+const CRON_FIELDS = [
+    { name: '分', min: 0, max: 59 },
+    { name: '时', min: 0, max: 23 },
+    { name: '日', min: 1, max: 31 },
+    { name: '月', min: 1, max: 12 },
+    { name: '周', min: 0, max: 7 }
+];
+
+// 解析 Cron 表达式，格式无效时抛出错误
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) throw new Error('Cron 表达式需要 5 段：分 时 日 月 周');
+
+    const fields = parts.map((part, i) => {
+        const { name, min, max } = CRON_FIELDS[i];
+        const values = new Set();
+        for (const item of part.split(',')) {
+            const match = item.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if (!match) throw new Error(`Cron 表达式「${name}」字段无效: ${item}`);
+            let start = min;
+            let end = max;
+            if (match[1] !== undefined) {
+                start = Number(match[1]);
+                end = match[2] !== undefined ? Number(match[2]) : match[3] !== undefined ? max : start;
+            }
+            const step = match[3] !== undefined ? Number(match[3]) : 1;
+            if (start < min || end > max || start > end || step < 1) {
+                throw new Error(`Cron 表达式「${name}」字段超出范围（${min}-${max}）: ${item}`);
+            }
+            for (let value = start; value <= end; value += step) values.add(value);
+        }
+        return values;
+    });
+    if (fields[4].has(7)) fields[4].add(0);
+
+    return {
+        minutes: fields[0],
+        hours: fields[1],
+        days: fields[2],
+        months: fields[3],
+        weekdays: fields[4],
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*')
+    };
+}
+
+function cronDayMatches(cron, time) {
+    const day = cron.days.has(time.getDate());
+    const weekday = cron.weekdays.has(time.getDay());
+    return cron.anyDay || cron.anyWeekday ? day && weekday : day || weekday;
+}
+
+// after 之后（不含）的下一次执行时间（本地时间）；5 年内都不会执行（如 2 月 30 日）时返回 null
+function nextCronTime(cron, after) {
+    const time = new Date(after);
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+    while (time.getTime() <= limit) {
+        if (!cron.months.has(time.getMonth() + 1) || !cronDayMatches(cron, time)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(time.getHours())) {
+            time.setHours(time.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(time.getMinutes())) {
+            time.setMinutes(time.getMinutes() + 1, 0, 0);
+        } else {
+            return time;
+        }
+    }
+    return null;
+}
+
+// ----- 定时备份 -----
+// 三种模式：schedule（每天/每周几的指定时间）、interval（每 N 小时）、cron（Cron 表达式）
+// 上次定时备份的时间保存在 backup_last_scheduled_at 中，服务停机期间错过的备份在启动后补做一次
+const BACKUP_TIMER_MAX_DELAY = 60 * 60 * 1000; // 最长等待 1 小时后重新检查（setTimeout 上限约 24 天，系统休眠后也能及时补做）
+
+let backupTimer = null;
+let backupTimerGeneration = 0;
+
+// 当前的备份计划：{ desc, next(after) }，设置无效时抛出错误
+// overrides 为尚未保存的设置（保存前用来校验），其余取已保存的值
+function getBackupSchedule(overrides = {}) {
+    const setting = (key, defaultValue) => overrides[key] ?? getSetting(key, defaultValue);
+    const mode = setting('backup_mode', 'schedule');
+    if (mode === 'interval') {
+        const hours = parseInt(setting('backup_interval', '24'));
+        return { desc: `间隔模式：每 ${hours} 小时`, next: after => new Date(after.getTime() + hours * 60 * 60 * 1000) };
+    }
+    if (mode === 'cron') {
+        const expression = setting('backup_cron', '0 2 * * *');
+        const cron = parseCron(expression);
+        return { desc: `Cron 模式：${expression}`, next: after => nextCronTime(cron, after) };
+    }
+
+    // 定时模式：'daily' 或 0-6（周日-周六）
+    const scheduleTime = setting('backup_schedule_time', '02:00');
+    const scheduleDay = setting('backup_schedule_day', 'daily');
+    const [hour, minute] = scheduleTime.split(':').map(Number);
+    const cron = parseCron(`${minute} ${hour} * * ${scheduleDay === 'daily' ? '*' : scheduleDay}`);
+    const dayNames = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+    const desc = scheduleDay === 'daily' ? `每天 ${scheduleTime}` : `每${dayNames[parseInt(scheduleDay)]} ${scheduleTime}`;
+    return { desc: `定时模式：${desc}`, next: after => nextCronTime(cron, after) };
+}
+
+// 下次定时备份的时间（已错过的返回原本的时间，启动后会立即补做）；未启用时返回 null
+function getNextBackupTime() {
+    if (getSetting('backup_enabled', 'true') !== 'true') return null;
+    const last = getSetting('backup_last_scheduled_at');
+    return getBackupSchedule().next(last ? new Date(last) : new Date());
+}
+
+// 启动定时备份
+function startAutoBackup() {
+    const enabled = getSetting('backup_enabled', 'true') === 'true';
+
+    // 清除现有定时器（generation 让正在执行的备份完成后不再安排旧计划）
+    backupTimerGeneration++;
+    if (backupTimer) {
+        clearTimeout(backupTimer);
+        backupTimer = null;
+    }
+
+    if (!enabled) {
+        console.log('[备份] 自动备份已禁用');
+        return;
+    }
+
+    let schedule;
+    try {
+        schedule = getBackupSchedule();
+    } catch (error) {
+        console.error('[备份] 定时设置无效，自动备份未启动:', error.message);
+        return;
+    }
+    // 首次启用时从现在开始计算
+    if (!getSetting('backup_last_scheduled_at')) setSetting('backup_last_scheduled_at', new Date().toISOString());
+
+    const generation = backupTimerGeneration;
+    const scheduleNextBackup = () => {
+        const nextTime = schedule.next(new Date(getSetting('backup_last_scheduled_at')));
+        if (!nextTime) {
+            console.log(`[备份] ${schedule.desc}，5 年内没有可执行的时间，自动备份未启动`);
+            return;
+        }
+        if (nextTime.getTime() <= Date.now()) {
+            console.log(`[备份] ${schedule.desc}，错过了 ${nextTime.toLocaleString()} 的备份（服务未运行），立即补做`);
+        } else {
+            console.log(`[备份] ${schedule.desc}，下次执行: ${nextTime.toLocaleString()}`);
+        }
+
+        const wait = () => {
+            const delay = Math.min(Math.max(nextTime.getTime() - Date.now(), 0), BACKUP_TIMER_MAX_DELAY);
+            backupTimer = setTimeout(async () => {
+                if (Date.now() < nextTime.getTime()) return wait();
+                backupTimer = null;
+                setSetting('backup_last_scheduled_at', new Date().toISOString());
+                console.log('[备份] 执行定时备份...');
+                await performBackup(getSetting('backup_path', BACKUP_PATH));
+                // 执行完后安排下一次（期间设置被修改时已由新的计划接管）
+                if (generation === backupTimerGeneration) scheduleNextBackup();
+            }, delay);
+        };
+        wait();
+    };
+
+    scheduleNextBackup();
+}
+
+// --- 备份设置 API ---
+
+// 获取备份设置
+app.get('/api/backup/settings', (req, res) => {
+    let nextRun = null;
+    try {
+        nextRun = getNextBackupTime();
+    } catch (e) { /* 定时设置无效 */ }
+
+    res.json({
+        enabled: getSetting('backup_enabled', 'true') === 'true',
+        mode: getSetting('backup_mode', 'schedule'), // 默认定时模式
+        interval: parseInt(getSetting('backup_interval', '24')),
+        scheduleTime: getSetting('backup_schedule_time', '02:00'),
+        scheduleDay: getSetting('backup_schedule_day', 'daily'),
+        cron: getSetting('backup_cron', '0 2 * * *'),
+        nextRun: nextRun && new Date(Math.max(nextRun.getTime(), Date.now())).toISOString(),
+        path: getSetting('backup_path', BACKUP_PATH),
+        maxCount: parseInt(getSetting('backup_max_count', '10')),
+        retention: getSetting('backup_retention', 'count'), // count：保留最近 N 个；gfs：按天/周/月/年保留
+        keepDaily: parseInt(getSetting('backup_keep_daily', '7')),
+        keepWeekly: parseInt(getSetting('backup_keep_weekly', '4')),
+        keepMonthly: parseInt(getSetting('backup_keep_monthly', '12')),
+        keepYearly: parseInt(getSetting('backup_keep_yearly', '0')),
+        media: getSetting('backup_media', 'linked'), // linked：记录关联的媒体；library：整个媒体库（增量）
+        encryption: getSetting('backup_encryption', 'false') === 'true',
+        hasPassphrase: !!getSetting('backup_passphrase'), // 口令本身不返回
+        staleDays: parseInt(getSetting('backup_stale_days', '3')) // 超过 N 天没有成功备份时提醒，0 表示不提醒
+    });
+});
+
+// 更新备份设置
+app.post('/api/backup/settings', (req, res) => {
+    const { enabled, mode, interval, scheduleTime, scheduleDay, cron, path: backupPath, maxCount, media, encryption, passphrase } = req.body;
+    const { retention, keepDaily, keepWeekly, keepMonthly, keepYearly, staleDays } = req.body;
+
+    // 验证定时与保留策略
+    if (cron !== undefined) {
+        try {
+            if (!nextCronTime(parseCron(cron), new Date())) throw new Error('该表达式 5 年内不会执行');
+        } catch (e) {
+            return res.status(400).json({ error: `Cron 表达式无效：${e.message}` });
+        }
+    }
+    if (scheduleTime !== undefined && !(typeof scheduleTime === 'string' && /^\d{2}:\d{2}$/.test(scheduleTime))) {
+        return res.status(400).json({ error: '备份时间格式应为 HH:MM' });
+    }
+    if (scheduleDay !== undefined && !/^(daily|[0-6])$/.test(String(scheduleDay))) {
+        return res.status(400).json({ error: '备份日期应为 daily 或 0-6（周日-周六）' });
+    }
+    // 用即将保存的值计算定时计划，无效时不保存（否则自动备份会停止）；修改了定时模式的时间时也按定时模式校验
+    const scheduleOverrides = {
+        backup_mode: ['interval', 'schedule', 'cron'].includes(mode) ? mode : undefined,
+        backup_cron: cron === undefined ? undefined : String(cron),
+        backup_schedule_time: scheduleTime,
+        backup_schedule_day: scheduleDay === undefined ? undefined : String(scheduleDay)
+    };
+    try {
+        getBackupSchedule(scheduleOverrides);
+        if (scheduleTime !== undefined || scheduleDay !== undefined) getBackupSchedule({ ...scheduleOverrides, backup_mode: 'schedule' });
+    } catch (e) {
+        return res.status(400).json({ error: `定时设置无效：${e.message}` });
+    }
+    const keeps = { backup_keep_daily: keepDaily, backup_keep_weekly: keepWeekly, backup_keep_monthly: keepMonthly, backup_keep_yearly: keepYearly };
+    for (const value of Object.values(keeps)) {
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= 1000)) {
+            return res.status(400).json({ error: '保留数量必须是 0-1000 之间的整数' });
+        }
+    }
+    if (staleDays !== undefined && !(Number.isInteger(staleDays) && staleDays >= 0 && staleDays <= 365)) {
+        return res.status(400).json({ error: '提醒天数必须是 0-365 之间的整数' });
+    }
+    if (retention === 'gfs') {
+        const keepAny = Object.entries(keeps).some(([key, value]) => (value ?? parseInt(getSetting(key, '0'))) > 0);
+        if (!keepAny) return res.status(400).json({ error: '按周期保留时至少需要保留一种周期' });
+    }
+
+    // 验证备份加密设置（口令只能设置新的，不能读取）
+    if (passphrase !== undefined && passphrase !== '') {
+        if (typeof passphrase !== 'string' || passphrase.length < BACKUP_PASSPHRASE_MIN_LENGTH) {
+            return res.status(400).json({ error: `备份口令至少需要 ${BACKUP_PASSPHRASE_MIN_LENGTH} 个字符` });
+        }
+    }
+    if (encryption === true && !passphrase && !getSetting('backup_passphrase')) {
+        return res.status(400).json({ error: '启用备份加密前请先设置备份口令' });
+    }
+
+    // 验证备份路径
+    if (backupPath) {
+        try {
+            // 检查路径是否存在
+            if (!fs.existsSync(backupPath)) {
+                return res.status(400).json({
+                    error: '备份路径不存在，请先创建目录: ' + backupPath
+                });
+            }
+
+            // 检查是否是目录
+            const stat = fs.statSync(backupPath);
+            if (!stat.isDirectory()) {
+                return res.status(400).json({
+                    error: '指定的路径不是目录: ' + backupPath
+                });
+            }
+
+            // 检查目录是否可写
+            const testFile = path.join(backupPath, '.write-test-' + Date.now());
+            fs.writeFileSync(testFile, 'test');
+            fs.unlinkSync(testFile);
+
+            setSetting('backup_path', backupPath);
+        } catch (e) {
+            return res.status(400).json({
+                error: '备份路径无效或无写入权限: ' + e.message
+            });
+        }
+    }
+
+    if (typeof enabled === 'boolean') {
+        setSetting('backup_enabled', enabled.toString());
+    }
+    if (mode && ['interval', 'schedule', 'cron'].includes(mode)) {
+        setSetting('backup_mode', mode);
+    }
+    if (cron !== undefined) {
+        setSetting('backup_cron', String(cron).trim().split(/\s+/).join(' '));
+    }
+    if (interval && interval >= 1) {
+        setSetting('backup_interval', interval.toString());
+    }
+    if (scheduleTime !== undefined) {
+        setSetting('backup_schedule_time', scheduleTime);
+    }
+    if (scheduleDay !== undefined) {
+        setSetting('backup_schedule_day', String(scheduleDay));
+    }
+    if (maxCount && maxCount >= 1) {
+        setSetting('backup_max_count', maxCount.toString());
+    }
+    if (retention && ['count', 'gfs'].includes(retention)) {
+        setSetting('backup_retention', retention);
+    }
+    for (const [key, value] of Object.entries(keeps)) {
+        if (value !== undefined) setSetting(key, value.toString());
     }
-
-    if (permission && ['read', 'write'].includes(permission)) {
-        db.prepare('UPDATE api_tokens SET permission = ? WHERE id = ?')
-            .run(permission, tokenId);
+    if (media && ['linked', 'library'].includes(media)) {
+        setSetting('backup_media', media);
+    }
+    if (staleDays !== undefined) {
+        setSetting('backup_stale_days', staleDays.toString());
+    }
+    if (passphrase) {
+        // 新口令使用新的编号，之后加密的 blob 重新保存，旧备份仍可用旧口令恢复
+        setSetting('backup_passphrase', passphrase);
+        setSetting('backup_passphrase_id', crypto.randomBytes(4).toString('hex'));
+        console.log(`[备份] ${actorName(req)} 修改了备份口令`);
+    }
+    if (typeof encryption === 'boolean') {
+        setSetting('backup_encryption', encryption.toString());
     }
 
-    console.log(`[API Token] 已更新: ID=${tokenId}`);
+    // 重启定时器；修改计划后从现在开始计算，不把新计划中已经过去的时间当作错过的备份
+    const scheduleChanged = [enabled, mode, interval, scheduleTime, scheduleDay, cron].some(v => v !== undefined);
+    if (scheduleChanged) setSetting('backup_last_scheduled_at', new Date().toISOString());
+    startAutoBackup();
+
     res.json({ success: true });
 });
 
-// 删除 Token
-app.delete('/api/tokens/:id', (req, res) => {
-    if (req.authType !== 'session') {
-        return res.status(403).json({ error: 'Token 管理仅限 Web 管理员' });
-    }
+// 手动触发备份
+app.post('/api/backup/now', async (req, res) => {
+    const backupDir = getSetting('backup_path', BACKUP_PATH);
+    const result = await performBackup(backupDir);
+    res.json(result);
+});
 
-    const tokenId = req.params.id;
-    const existing = db.prepare('SELECT name FROM api_tokens WHERE id = ?').get(tokenId);
+// 获取备份历史
+app.get('/api/backup/logs', (req, res) => {
+    const logs = db.prepare('SELECT * FROM backup_logs ORDER BY timestamp DESC LIMIT 50').all();
+    res.json(logs);
+});
 
-    if (!existing) {
-        return res.status(404).json({ error: 'Token 不存在' });
+// 获取备份文件列表
+app.get('/api/backup/files', (req, res) => {
+    const backupDir = getSetting('backup_path', BACKUP_PATH);
+
+    if (!fs.existsSync(backupDir)) {
+        return res.json([]);
     }
 
-    db.prepare('DELETE FROM api_tokens WHERE id = ?').run(tokenId);
-    console.log(`[API Token] 已删除: ${existing.name}`);
+    // keep：保留原因（见 planBackupRetention），为空表示下次备份后会被清理
+    const plan = planBackupRetention(backupDir);
+    const files = fs.readdirSync(backupDir)
+        .filter(isBackupFilename)
+        .map(f => {
+            const stat = fs.statSync(path.join(backupDir, f));
+            const keep = plan.get(f);
+            return {
+                filename: f,
+                size: stat.size,
+                created: stat.mtime.toISOString(),
+                encrypted: f.endsWith('.enc'),
+                pinned: keep.includes('pinned'),
+                imported: isImportedBackup(f),
+                keep
+            };
+        })
+        .sort((a, b) => new Date(b.created) - new Date(a.created));
 
-    res.json({ success: true });
+    res.json(files);
 });
 
-// 3. Media Gallery
-app.get('/api/media', (req, res) => {
-    try {
-        const files = scanMedia(MEDIA_PATH);
-        const metas = db.prepare('SELECT * FROM media_meta').all();
-        const metaMap = {};
-        metas.forEach(m => metaMap[m.filename] = m);
-
-        const response = files.map((f, index) => {
-            const meta = metaMap[f.path] || {};
-            const urlPath = f.path.split(path.sep).join('/');
+// 下载指定备份文件
+app.get('/api/backup/download/:filename', (req, res) => {
+    const backupDir = getSetting('backup_path', BACKUP_PATH);
+    const filename = req.params.filename;
 
-            return {
-                id: index,
-                url: `/media/${urlPath}`,
-                thumb: `/api/thumb/${encodeURIComponent(f.path)}`,
-                filename: f.path,
-                type: f.type,
-                date: meta.customDate || f.mtime.toISOString().split('T')[0],
-                title: meta.title || path.basename(f.path),
-                description: meta.description || ''
-            };
-        });
+    // 安全检查
+    if (!isBackupFilename(filename)) {
+        return res.status(400).json({ error: '无效的文件名' });
+    }
 
-        response.sort((a, b) => new Date(b.date) - new Date(a.date));
-        res.json(response);
-    } catch (error) {
-        console.error("Media scan error:", error);
-        res.json([]);
+    const filepath = path.join(backupDir, filename);
+    if (!fs.existsSync(filepath)) {
+        return res.status(404).json({ error: '文件不存在' });
     }
+
+    res.download(filepath);
 });
 
-// 3.1 缩略图 API - 实时生成并缓存
-app.get('/api/thumb/:filename(*)', async (req, res) => {
+// 上传备份文件到备份目录（导入）
+app.post('/api/backup/upload', async (req, res) => {
+    let tempPath = null;
     try {
-        const filename = req.params.filename;
-        const ext = path.extname(filename).toLowerCase();
-
-        // 视频文件返回占位图
-        if (['.mp4', '.mov'].includes(ext)) {
-            res.set('Content-Type', 'image/svg+xml');
-            res.send(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
-                <rect fill="#e5e7eb" width="200" height="200"/>
-                <text x="100" y="100" text-anchor="middle" dominant-baseline="middle" font-size="48">🎬</text>
-            </svg>`);
-            return;
-        }
-
-        // 计算缩略图缓存路径
-        const safeFilename = filename.replace(/[\/\\]/g, '_');
-        const thumbFile = path.join(THUMB_PATH, `${safeFilename}.webp`);
-        const originalFile = path.join(MEDIA_PATH, filename);
+        const backupDir = getSetting('backup_path', BACKUP_PATH);
 
-        // 检查原文件是否存在
-        if (!fs.existsSync(originalFile)) {
-            return res.status(404).send('Not found');
+        // 确保备份目录存在
+        if (!fs.existsSync(backupDir)) {
+            fs.mkdirSync(backupDir, { recursive: true });
         }
 
-        // 检查缓存是否存在且有效
-        if (fs.existsSync(thumbFile)) {
-            const thumbStat = fs.statSync(thumbFile);
-            const origStat = fs.statSync(originalFile);
-
-            // 如果缩略图比原图新，直接返回缓存
-            if (thumbStat.mtime >= origStat.mtime) {
-                res.set('Content-Type', 'image/webp');
-                res.set('Cache-Control', 'public, max-age=31536000');
-                return res.sendFile(thumbFile);
-            }
+        // 先写入临时文件，再完整读一遍，确认是有效的 TAR+GZIP（加密的备份需要口令才能校验）
+        const base = `baby-backup-${formatBackupTimestamp(new Date())}-imported`;
+        tempPath = path.join(backupDir, `${base}.tmp`);
+        await pipeline(req, fs.createWriteStream(tempPath));
+        try {
+            for await (const entry of openTarGz(fs.createReadStream(tempPath), requestPassphrase(req))) { /* 只校验结构 */ }
+        } catch (e) {
+            if (e.needPassphrase) return res.status(400).json({ error: e.message, needPassphrase: true });
+            return res.status(400).json({ error: e.status ? `无效的备份文件: ${e.message}` : '无效的备份文件格式' });
         }
 
-        // 生成缩略图 (200x200, WebP格式, 质量80)
-        await sharp(originalFile)
-            .resize(200, 200, { fit: 'cover', position: 'center' })
-            .webp({ quality: 80 })
-            .toFile(thumbFile);
-
-        res.set('Content-Type', 'image/webp');
-        res.set('Cache-Control', 'public, max-age=31536000');
-        res.sendFile(thumbFile);
+        // 生成文件名（加密的备份保持加密保存）
+        const filename = `${base}${await isEncryptedBackupFile(tempPath) ? '.tar.gz.enc' : '.tar.gz'}`;
+        const filepath = path.join(backupDir, filename);
+        fs.renameSync(tempPath, filepath);
+        tempPath = null;
 
+        res.json({ success: true, filename, message: '备份文件已导入' });
     } catch (error) {
-        console.error('Thumbnail error:', error.message);
-        // 出错时返回占位图
-        res.set('Content-Type', 'image/svg+xml');
-        res.send(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
-            <rect fill="#f3f4f6" width="200" height="200"/>
-            <text x="100" y="100" text-anchor="middle" dominant-baseline="middle" font-size="48">📷</text>
-        </svg>`);
+        console.error('Upload error:', error);
+        res.status(500).json({ error: '导入失败: ' + error.message });
+    } finally {
+        if (tempPath) fs.rmSync(tempPath, { force: true });
     }
 });
 
-// 4. 数据导出 API (使用内置 TAR+GZIP)
-app.get('/api/export', (req, res) => {
+// 从指定备份文件恢复数据
+// 校验备份文件的每个条目，并预览恢复后会发生的变化（不修改任何数据）
+app.post('/api/backup/verify/:filename', async (req, res) => {
     try {
-        const baby = db.prepare('SELECT * FROM baby WHERE id = 1').get();
-        const records = db.prepare('SELECT * FROM records ORDER BY date DESC').all();
-        const mediaMeta = db.prepare('SELECT * FROM media_meta').all();
-
-        // 收集关联的媒体
-        const linkedMediaUrls = new Set();
-        records.forEach(r => {
-            if (r.mediaIds) {
-                r.mediaIds.split(',').filter(Boolean).forEach(url => linkedMediaUrls.add(url));
-            }
-        });
-
-        const exportData = {
-            exportTime: new Date().toISOString(),
-            version: '1.0',
-            baby,
-            records,
-            mediaMeta,
-            linkedMediaCount: linkedMediaUrls.size
-        };
+        const backupDir = getSetting('backup_path', BACKUP_PATH);
+        const filename = req.params.filename;
 
-        // 构建 TAR 文件内容
-        const tarFiles = [
-            { name: 'data.json', content: Buffer.from(JSON.stringify(exportData, null, 2), 'utf8') }
-        ];
-
-        // 添加关联的媒体文件
-        linkedMediaUrls.forEach(url => {
-            const relativePath = url.replace('/media/', '');
-            const fullPath = path.join(MEDIA_PATH, relativePath);
-            if (fs.existsSync(fullPath)) {
-                tarFiles.push({
-                    name: `media/${relativePath}`,
-                    content: fs.readFileSync(fullPath)
-                });
-            }
-        });
+        if (!isBackupFilename(filename)) {
+            return res.status(400).json({ error: '无效的文件名' });
+        }
 
-        // 创建 TAR 并 GZIP 压缩
-        const tarBuffer = createTarBuffer(tarFiles);
-        const gzipped = zlib.gzipSync(tarBuffer);
+        const filepath = path.join(backupDir, filename);
+        if (!fs.existsSync(filepath)) {
+            return res.status(404).json({ error: '文件不存在' });
+        }
 
-        const timestamp = new Date().toISOString().slice(0, 10);
-        res.setHeader('Content-Type', 'application/gzip');
-        res.setHeader('Content-Disposition', `attachment; filename="baby-backup-${timestamp}.tar.gz"`);
-        res.send(gzipped);
+        const result = await verifyBackup(fs.createReadStream(filepath), requestPassphrase(req));
+        if (!result.valid) console.log(`[备份] 校验未通过 ${filename}: ${result.error}`);
+        res.json({ filename, ...result });
 
     } catch (error) {
-        console.error('Export error:', error);
-        res.status(500).json({ error: '导出失败: ' + error.message });
+        console.error('Verify error:', error.message);
+        res.status(500).json({ error: '校验失败: ' + error.message });
     }
 });
 
-// 5. 数据导入 API (使用内置解析)
-app.post('/api/import', express.raw({ type: '*/*', limit: '500mb' }), (req, res) => {
+app.post('/api/backup/restore/:filename', async (req, res) => {
     try {
-        // 解压 GZIP
-        const tarBuffer = zlib.gunzipSync(req.body);
-
-        // 解析 TAR
-        const files = parseTar(tarBuffer);
-
-        // 找到 data.json
-        const dataFile = files.find(f => f.name === 'data.json');
-        if (!dataFile) {
-            throw new Error('无效的备份文件：缺少 data.json');
-        }
-
-        const importData = JSON.parse(dataFile.content.toString('utf8'));
-
-        if (!importData.version || !importData.baby || !importData.records) {
-            throw new Error('备份文件格式无效');
-        }
-
-        // 导入宝宝信息
-        const { name, birthDate, gender, bloodType } = importData.baby;
-        db.prepare('UPDATE baby SET name = ?, birthDate = ?, gender = ?, bloodType = ? WHERE id = 1')
-            .run(name, birthDate, gender, bloodType);
-
-        // 导入记录
-        db.prepare('DELETE FROM records').run();
-        const insertRecord = db.prepare(
-            'INSERT INTO records (date, height, weight, head, note, mediaIds) VALUES (?, ?, ?, ?, ?, ?)'
-        );
-        importData.records.forEach(r => {
-            insertRecord.run(r.date, r.height, r.weight, r.head, r.note, r.mediaIds || '');
-        });
+        const backupDir = getSetting('backup_path', BACKUP_PATH);
+        const filename = req.params.filename;
 
-        // 导入媒体元数据
-        if (importData.mediaMeta?.length > 0) {
-            db.prepare('DELETE FROM media_meta').run();
-            const insertMeta = db.prepare(
-                'INSERT OR REPLACE INTO media_meta (filename, title, description, customDate) VALUES (?, ?, ?, ?)'
-            );
-            importData.mediaMeta.forEach(m => {
-                insertMeta.run(m.filename, m.title, m.description, m.customDate);
-            });
+        // 安全检查
+        if (!isBackupFilename(filename)) {
+            return res.status(400).json({ error: '无效的文件名' });
         }
 
-        // 恢复媒体文件
-        if (!fs.existsSync(MEDIA_PATH)) {
-            fs.mkdirSync(MEDIA_PATH, { recursive: true });
+        const filepath = path.join(backupDir, filename);
+        if (!fs.existsSync(filepath)) {
+            return res.status(404).json({ error: '文件不存在' });
         }
 
-        files.filter(f => f.name.startsWith('media/')).forEach(f => {
-            const relativePath = f.name.replace('media/', '');
-            const fullPath = path.join(MEDIA_PATH, relativePath);
-            const dir = path.dirname(fullPath);
-
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-            fs.writeFileSync(fullPath, f.content);
-        });
-
+        const result = await restoreBackup(fs.createReadStream(filepath), filename, requestPassphrase(req));
         res.json({
             success: true,
-            message: `导入成功！恢复了 ${importData.records.length} 条记录`,
-            recordCount: importData.records.length,
-            mediaCount: importData.linkedMediaCount || 0
+            message: `恢复成功！已恢复 ${result.recordCount} 条记录`,
+            ...result
         });
 
     } catch (error) {
-        console.error('Import error:', error);
-        res.status(500).json({ error: '导入失败: ' + error.message });
+        console.error('Restore error:', error.message);
+        res.status(error.status || 500).json({ error: '恢复失败: ' + error.message, ...(error.needPassphrase && { needPassphrase: true }) });
     }
 });
 
-// =============================================
-// 6. 定时备份功能
-// =============================================
+// 固定 / 取消固定备份：固定的备份不会被保留策略清理
+app.post('/api/backup/files/:filename/pin', (req, res) => {
+    const filename = req.params.filename;
+    if (!isBackupFilename(filename)) return res.status(400).json({ error: '无效的文件名' });
+    if (!fs.existsSync(path.join(getSetting('backup_path', BACKUP_PATH), filename))) {
+        return res.status(404).json({ error: '文件不存在' });
+    }
 
-// 获取设置
-function getSetting(key, defaultValue = null) {
-    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
-    return row ? row.value : defaultValue;
-}
+    db.prepare('INSERT OR REPLACE INTO backup_pins (filename, pinned_at, pinned_by) VALUES (?, ?, ?)')
+        .run(filename, new Date().toISOString(), actorName(req));
+    console.log(`[备份] ${actorName(req)} 固定了 ${filename}`);
+    res.json({ success: true });
+});
 
-// 保存设置
-function setSetting(key, value) {
-    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run(key, value);
-}
+app.delete('/api/backup/files/:filename/pin', (req, res) => {
+    const filename = req.params.filename;
+    if (!isBackupFilename(filename)) return res.status(400).json({ error: '无效的文件名' });
 
-// 执行备份（复用导出逻辑）
-function performBackup(backupDir) {
-    try {
-        // 确保备份目录存在
-        if (!fs.existsSync(backupDir)) {
-            fs.mkdirSync(backupDir, { recursive: true });
-        }
+    db.prepare('DELETE FROM backup_pins WHERE filename = ?').run(filename);
+    console.log(`[备份] ${actorName(req)} 取消固定 ${filename}`);
+    res.json({ success: true });
+});
 
-        const baby = db.prepare('SELECT * FROM baby WHERE id = 1').get();
-        const records = db.prepare('SELECT * FROM records ORDER BY date DESC').all();
-        const mediaMeta = db.prepare('SELECT * FROM media_meta').all();
+// 删除指定备份文件
+app.delete('/api/backup/files/:filename', async (req, res) => {
+    const backupDir = getSetting('backup_path', BACKUP_PATH);
+    const filename = req.params.filename;
 
-        // 收集关联的媒体
-        const linkedMediaUrls = new Set();
-        records.forEach(r => {
-            if (r.mediaIds) {
-                r.mediaIds.split(',').filter(Boolean).forEach(url => linkedMediaUrls.add(url));
-            }
-        });
+    if (!isBackupFilename(filename)) {
+        return res.status(400).json({ error: '无效的文件名' });
+    }
 
-        const exportData = {
-            exportTime: new Date().toISOString(),
-            version: '1.0',
-            baby,
-            records,
-            mediaMeta,
-            linkedMediaCount: linkedMediaUrls.size
-        };
+    const filepath = path.join(backupDir, filename);
+    if (fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+        db.prepare('DELETE FROM backup_pins WHERE filename = ?').run(filename);
 
-        // 构建 TAR 文件
-        const tarFiles = [
-            { name: 'data.json', content: Buffer.from(JSON.stringify(exportData, null, 2), 'utf8') }
-        ];
-
-        linkedMediaUrls.forEach(url => {
-            const relativePath = url.replace('/media/', '');
-            const fullPath = path.join(MEDIA_PATH, relativePath);
-            if (fs.existsSync(fullPath)) {
-                tarFiles.push({
-                    name: `media/${relativePath}`,
-                    content: fs.readFileSync(fullPath)
-                });
-            }
-        });
+        // 记录删除日志
+        db.prepare(
+            'INSERT INTO backup_logs (timestamp, filename, size, recordCount, mediaCount, status) VALUES (?, ?, ?, ?, ?, ?)'
+        ).run(new Date().toISOString(), filename, 0, 0, 0, 'deleted');
 
-        const tarBuffer = createTarBuffer(tarFiles);
-        const gzipped = zlib.gzipSync(tarBuffer);
+        console.log(`[备份] 已删除: ${filename}`);
+        await pruneBackupBlobs(backupDir).catch(error => console.error('[备份] 媒体库清理失败:', error.message));
+    }
 
-        // 生成文件名
-        const now = new Date();
-        const timestamp = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-${String(now.getDate()).padStart(2,'0')}_${String(now.getHours()).padStart(2,'0')}-${String(now.getMinutes()).padStart(2,'0')}-${String(now.getSeconds()).padStart(2,'0')}`;
-        const filename = `baby-backup-${timestamp}.tar.gz`;
-        const filepath = path.join(backupDir, filename);
+    res.json({ success: true });
+});
 
-        fs.writeFileSync(filepath, gzipped);
+// =============================================
+// 6.1 远程备份目标（WebDAV / S3 兼容存储 / SFTP）
+// =============================================
 
-        // 记录备份日志
-        db.prepare(
-            'INSERT INTO backup_logs (timestamp, filename, size, recordCount, mediaCount, status) VALUES (?, ?, ?, ?, ?, ?)'
-        ).run(
-            new Date().toISOString(),
-            filename,
-            gzipped.length,
-            records.length,
-            linkedMediaUrls.size,
-            'success'
-        );
+// 每次本地备份成功后上传到所有启用的目标，各目标按自己的保留数量清理旧备份
+// 媒体库增量备份会同时上传该目标还没有的 media-blobs 文件，已上传的 blob 与每个归档引用的 blob 记录在数据库中
+const BACKUP_TARGET_TIMEOUT = 30 * 1000; // 单个请求连接/响应超时
+const BACKUP_TARGET_SECRETS = ['password', 'secretAccessKey', 'privateKey', 'passphrase'];
+const SECRET_PLACEHOLDER = '********';
+
+// 远程目标请求失败
+function targetError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
 
-        // 清理旧备份（保留最近 N 个）
-        const maxBackups = parseInt(getSetting('backup_max_count', '10'));
-        const backupFiles = fs.readdirSync(backupDir)
-            .filter(f => f.startsWith('baby-backup-') && f.endsWith('.tar.gz'))
-            .sort()
-            .reverse();
+// 读取文件作为请求体（undici 接受异步迭代器，需配合 duplex: 'half'）
+function fileRequestBody(file) {
+    return { body: fs.createReadStream(file), duplex: 'half', size: fs.statSync(file).size };
+}
 
-        if (backupFiles.length > maxBackups) {
-            backupFiles.slice(maxBackups).forEach(f => {
-                fs.unlinkSync(path.join(backupDir, f));
-            });
+// 上传的空闲超时：每发送一块数据重新计时，超过 BACKUP_TARGET_TIMEOUT 没有进展时调用 onTimeout
+// 大文件不受总时长限制，卡住的连接也不会让备份一直挂起
+function idleWatchdog(onTimeout) {
+    let timer = null;
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(onTimeout, BACKUP_TARGET_TIMEOUT);
+    };
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            touch();
+            callback(null, chunk);
         }
+    });
+    touch();
+    return { stream, stop: () => clearTimeout(timer) };
+}
 
-        console.log(`[备份] 成功: ${filename} (${(gzipped.length / 1024).toFixed(1)} KB)`);
-        return { success: true, filename, size: gzipped.length };
-
-    } catch (error) {
-        console.error('[备份] 失败:', error.message);
-
-        db.prepare(
-            'INSERT INTO backup_logs (timestamp, filename, size, recordCount, mediaCount, status) VALUES (?, ?, ?, ?, ?, ?)'
-        ).run(new Date().toISOString(), '', 0, 0, 0, `error: ${error.message}`);
+// 远程目标的 HTTP 请求：没有请求体时按整体超时，上传时按空闲超时（发送完毕后等待响应同样计时）
+async function targetFetch(url, options) {
+    if (!options.body) return fetch(url, { ...options, signal: AbortSignal.timeout(BACKUP_TARGET_TIMEOUT) });
 
-        return { success: false, error: error.message };
+    const controller = new AbortController();
+    const watchdog = idleWatchdog(() => controller.abort(targetError(`上传超时（${BACKUP_TARGET_TIMEOUT / 1000} 秒没有进展）`)));
+    options.body.on('error', error => watchdog.stream.destroy(error));
+    try {
+        return await fetch(url, { ...options, body: options.body.pipe(watchdog.stream), signal: controller.signal });
+    } finally {
+        watchdog.stop();
     }
 }
 
-// 定时器引用
-let backupTimer = null;
+// --- WebDAV ---
 
-// 计算下次备份时间（定时模式）
-function getNextBackupTime(scheduleTime, scheduleDay) {
-    const now = new Date();
-    const [hour, minute] = scheduleTime.split(':').map(Number);
+function webdavUrl(config, name = '') {
+    const base = config.url.replace(/\/+$/, '');
+    return name ? `${base}/${name.split('/').map(encodeURIComponent).join('/')}` : `${base}/`;
+}
+
+async function webdavRequest(config, method, name, { headers = {}, body, duplex } = {}) {
+    const auth = config.username ? { Authorization: `Basic ${Buffer.from(`${config.username}:${config.password || ''}`).toString('base64')}` } : {};
+    const res = await targetFetch(webdavUrl(config, name), {
+        method,
+        headers: { ...auth, ...headers },
+        body,
+        duplex
+    });
+    if (res.status === 401 || res.status === 403) throw targetError(`WebDAV 认证失败（HTTP ${res.status}）`);
+    return res;
+}
 
-    let next = new Date(now);
-    next.setHours(hour, minute, 0, 0);
+// 逐级创建目录（已存在时服务器返回 405）
+async function webdavMkdirs(config, dir) {
+    let current = '';
+    for (const part of dir.split('/').filter(Boolean)) {
+        current = current ? `${current}/${part}` : part;
+        const res = await webdavRequest(config, 'MKCOL', current);
+        if (!res.ok && res.status !== 405) throw targetError(`WebDAV 创建目录失败: ${current}（HTTP ${res.status}）`);
+    }
+}
 
-    if (scheduleDay === 'daily') {
-        // 每天：如果今天的时间已过，则设为明天
-        if (next <= now) {
-            next.setDate(next.getDate() + 1);
+const webdavTarget = {
+    label: 'WebDAV',
+    required: ['url'],
+
+    async upload(config, file, name) {
+        const dir = path.posix.dirname(name);
+        if (dir !== '.') await webdavMkdirs(config, dir);
+        const { body, duplex, size } = fileRequestBody(file);
+        const res = await webdavRequest(config, 'PUT', name, { body, duplex, headers: { 'Content-Length': String(size) } });
+        if (!res.ok) throw targetError(`WebDAV 上传失败: ${name}（HTTP ${res.status}）`);
+    },
+
+    // 只列出目标目录下一层的文件
+    async list(config) {
+        const res = await webdavRequest(config, 'PROPFIND', '', { headers: { Depth: '1' } });
+        if (res.status !== 207) throw targetError(`WebDAV 读取目录失败（HTTP ${res.status}）`);
+        const xml = await res.text();
+        const files = [];
+        for (const [block] of xml.matchAll(/<(?:[\w-]+:)?response\b[\s\S]*?<\/(?:[\w-]+:)?response>/g)) {
+            if (/<(?:[\w-]+:)?collection\b/.test(block)) continue;
+            const href = (block.match(/<(?:[\w-]+:)?href>([^<]*)</) || [])[1];
+            if (!href) continue;
+            const size = (block.match(/<(?:[\w-]+:)?getcontentlength>(\d+)</) || [])[1];
+            files.push({ name: decodeURIComponent(href.replace(/\/+$/, '').split('/').pop()), size: size ? Number(size) : null });
         }
-    } else {
-        // 每周：scheduleDay 是 0-6（周日-周六）
-        const targetDay = parseInt(scheduleDay);
-        const currentDay = now.getDay();
-        let daysUntil = targetDay - currentDay;
+        return files;
+    },
 
-        if (daysUntil < 0 || (daysUntil === 0 && next <= now)) {
-            daysUntil += 7;
-        }
-        next.setDate(next.getDate() + daysUntil);
+    async remove(config, name) {
+        const res = await webdavRequest(config, 'DELETE', name);
+        if (!res.ok && res.status !== 404) throw targetError(`WebDAV 删除失败: ${name}（HTTP ${res.status}）`);
     }
+};
 
-    return next;
+// --- S3 兼容存储（AWS Signature V4，请求体不参与签名） ---
+
+// RFC 3986 编码（S3 签名要求）
+function s3Encode(value, keepSlash = false) {
+    const encoded = encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
 }
 
-// 启动定时备份
-function startAutoBackup() {
-    const enabled = getSetting('backup_enabled', 'true') === 'true';
-    const backupMode = getSetting('backup_mode', 'schedule'); // 默认定时模式
-    const interval = parseInt(getSetting('backup_interval', '24')); // 小时（间隔模式）
-    const scheduleTime = getSetting('backup_schedule_time', '02:00'); // HH:MM（定时模式）
-    const scheduleDay = getSetting('backup_schedule_day', 'daily'); // 'daily' 或 0-6（定时模式）
-    const backupDir = getSetting('backup_path', BACKUP_PATH);
+function s3ObjectKey(config, name) {
+    const prefix = (config.prefix || '').replace(/^\/+|\/+$/g, '');
+    return prefix ? `${prefix}/${name}` : name;
+}
 
-    // 清除现有定时器
-    if (backupTimer) {
-        clearTimeout(backupTimer);
-        clearInterval(backupTimer);
-        backupTimer = null;
+async function s3Request(config, method, key, { query = {}, headers = {}, body, duplex } = {}) {
+    const endpoint = new URL(config.endpoint);
+    const region = config.region || 'us-east-1';
+    // MinIO 等自建服务使用路径风格（/bucket/key），AWS 也支持
+    const pathStyle = config.pathStyle !== false;
+    const host = pathStyle ? endpoint.host : `${config.bucket}.${endpoint.host}`;
+    const basePath = endpoint.pathname.replace(/\/+$/, '');
+    const canonicalUri = `${basePath}/${pathStyle ? `${s3Encode(config.bucket)}/` : ''}${s3Encode(key, true)}`;
+    const canonicalQuery = Object.keys(query).sort()
+        .map(k => `${s3Encode(k)}=${s3Encode(String(query[k]))}`).join('&');
+
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const signed = { host, 'x-amz-content-sha256': 'UNSIGNED-PAYLOAD', 'x-amz-date': amzDate };
+    const signedHeaders = Object.keys(signed).sort().join(';');
+    const canonicalRequest = [
+        method, canonicalUri, canonicalQuery,
+        Object.keys(signed).sort().map(k => `${k}:${signed[k]}\n`).join(''),
+        signedHeaders, 'UNSIGNED-PAYLOAD'
+    ].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+    const signingKey = [dateStamp, region, 's3', 'aws4_request']
+        .reduce((key, part) => crypto.createHmac('sha256', key).update(part).digest(), `AWS4${config.secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const url = `${endpoint.protocol}//${host}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`;
+    const res = await targetFetch(url, {
+        method,
+        headers: {
+            ...headers,
+            'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+            'x-amz-date': amzDate,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        },
+        body,
+        duplex
+    });
+    if (!res.ok && res.status !== 404) {
+        const text = await res.text();
+        const code = (text.match(/<Code>([^<]*)<\/Code>/) || [])[1];
+        throw targetError(`S3 请求失败（HTTP ${res.status}${code ? ` ${code}` : ''}）`);
     }
+    return res;
+}
 
-    if (!enabled) {
-        console.log('[备份] 自动备份已禁用');
-        return;
+const s3Target = {
+    label: 'S3 兼容存储',
+    required: ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey'],
+
+    async upload(config, file, name) {
+        const { body, duplex, size } = fileRequestBody(file);
+        await s3Request(config, 'PUT', s3ObjectKey(config, name), { body, duplex, headers: { 'Content-Length': String(size) } });
+    },
+
+    // 只列出前缀下一层的对象（不含 media-blobs/ 等子目录）
+    async list(config) {
+        const prefix = s3ObjectKey(config, '');
+        const files = [];
+        let token = null;
+        do {
+            const query = { 'list-type': '2', prefix, delimiter: '/' };
+            if (token) query['continuation-token'] = token;
+            const res = await s3Request(config, 'GET', '', { query });
+            if (res.status === 404) throw targetError('S3 存储桶不存在');
+            const xml = await res.text();
+            for (const [, block] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const key = (block.match(/<Key>([^<]*)<\/Key>/) || [])[1];
+                const size = (block.match(/<Size>(\d+)<\/Size>/) || [])[1];
+                if (key) files.push({ name: decodeXmlEntities(key).slice(prefix.length), size: size ? Number(size) : null });
+            }
+            token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+                ? decodeXmlEntities((xml.match(/<NextContinuationToken>([^<]*)</) || [])[1] || '')
+                : null;
+        } while (token);
+        return files;
+    },
+
+    async remove(config, name) {
+        await s3Request(config, 'DELETE', s3ObjectKey(config, name));
     }
+};
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(lt|gt|quot|apos|amp);/g, (m, entity) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[entity]);
+}
 
-    if (backupMode === 'schedule') {
-        // 定时模式：在指定时间执行
-        const scheduleNextBackup = () => {
-            const nextTime = getNextBackupTime(scheduleTime, scheduleDay);
-            const delay = nextTime.getTime() - Date.now();
+// --- SFTP ---
+
+// 建立 SFTP 会话并执行 task(sftp)，结束后断开连接
+// 按 hostKey（SHA256 指纹）校验服务器公钥，防止中间人攻击；没有填写时记录首次连接看到的指纹（TOFU），
+// 写回 config.hostKey，由调用方保存到目标配置中
+function withSftp(config, task) {
+    return new Promise((resolve, reject) => {
+        const conn = new SshClient();
+        let settled = false;
+        const finish = (error, result) => {
+            if (settled) return;
+            settled = true;
+            conn.end();
+            error ? reject(error) : resolve(result);
+        };
+        let fingerprint = null;
+
+        conn.on('ready', () => {
+            conn.sftp(async (error, sftp) => {
+                if (error) return finish(targetError(`SFTP 子系统不可用: ${error.message}`));
+                try {
+                    finish(null, await task(sftp, fingerprint));
+                } catch (e) {
+                    finish(e);
+                }
+            });
+        });
+        conn.on('error', (error) => {
+            const message = error.level === 'client-authentication' ? 'SFTP 认证失败'
+                : fingerprint && fingerprint !== config.hostKey ? `SFTP 服务器指纹不匹配（${fingerprint}）`
+                : `SFTP 连接失败: ${error.message}`;
+            finish(targetError(message));
+        });
+        conn.connect({
+            host: config.host,
+            port: parseInt(config.port) || 22,
+            username: config.username,
+            password: config.password || undefined,
+            privateKey: config.privateKey || undefined,
+            passphrase: config.passphrase || undefined,
+            readyTimeout: BACKUP_TARGET_TIMEOUT,
+            // 连接中断时（对方无响应）及时报错，不让备份一直等待
+            keepaliveInterval: 10 * 1000,
+            keepaliveCountMax: 3,
+            hostVerifier: (key) => {
+                fingerprint = `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+                if (!config.hostKey) config.hostKey = fingerprint;
+                return config.hostKey === fingerprint;
+            }
+        });
+    });
+}
 
-            const dayNames = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
-            const scheduleDesc = scheduleDay === 'daily'
-                ? `每天 ${scheduleTime}`
-                : `每${dayNames[parseInt(scheduleDay)]} ${scheduleTime}`;
+// 把 ssh2 的回调接口转为 Promise
+function sftpCall(sftp, method, ...args) {
+    return new Promise((resolve, reject) => {
+        sftp[method](...args, (error, result) => error ? reject(error) : resolve(result));
+    });
+}
 
-            console.log(`[备份] 定时模式：${scheduleDesc}，下次执行: ${nextTime.toLocaleString()}`);
+function sftpPath(config, name = '') {
+    const base = (config.path || '.').replace(/\/+$/, '') || '/';
+    return name ? path.posix.join(base, name) : base;
+}
 
-            backupTimer = setTimeout(() => {
-                console.log('[备份] 执行定时备份...');
-                performBackup(backupDir);
-                // 执行完后安排下一次
-                scheduleNextBackup();
-            }, delay);
-        };
+const sftpTarget = {
+    label: 'SFTP',
+    required: ['host', 'username'],
+
+    upload(config, file, name) {
+        return withSftp(config, async (sftp) => {
+            const target = sftpPath(config, name);
+            // 逐级创建目录（已存在时忽略错误）
+            const parts = path.posix.dirname(target).split('/');
+            for (let i = 1; i <= parts.length; i++) {
+                const dir = parts.slice(0, i).join('/');
+                if (dir && dir !== '.') await sftpCall(sftp, 'mkdir', dir).catch(() => {});
+            }
+            // 先写临时文件再改名，中断的上传不会留下看似完整的备份
+            const temp = `${target}.tmp`;
+            const output = sftp.createWriteStream(temp);
+            const watchdog = idleWatchdog(() => output.destroy(targetError(`SFTP 上传超时（${BACKUP_TARGET_TIMEOUT / 1000} 秒没有进展）`)));
+            try {
+                await pipeline(fs.createReadStream(file), watchdog.stream, output);
+            } finally {
+                watchdog.stop();
+            }
+            await sftpCall(sftp, 'unlink', target).catch(() => {});
+            await sftpCall(sftp, 'rename', temp, target);
+        });
+    },
+
+    list(config) {
+        return withSftp(config, async (sftp) => {
+            const entries = await sftpCall(sftp, 'readdir', sftpPath(config));
+            return entries
+                .filter(e => e.longname.startsWith('-'))
+                .map(e => ({ name: e.filename, size: e.attrs.size }));
+        });
+    },
 
-        scheduleNextBackup();
-    } else {
-        // 间隔模式：每隔 N 小时执行
-        const intervalMs = interval * 60 * 60 * 1000;
+    remove(config, name) {
+        return withSftp(config, (sftp) => sftpCall(sftp, 'unlink', sftpPath(config, name)).catch(error => {
+            if (error.code !== 2) throw error; // 2 = NO_SUCH_FILE
+        }));
+    }
+};
 
-        backupTimer = setInterval(() => {
-            console.log('[备份] 执行定时备份...');
-            performBackup(backupDir);
-        }, intervalMs);
+const BACKUP_TARGET_TYPES = { webdav: webdavTarget, s3: s3Target, sftp: sftpTarget };
 
-        console.log(`[备份] 间隔模式：每 ${interval} 小时，路径: ${backupDir}`);
-    }
+// 隐藏凭据（界面显示占位符，保存时占位符表示不修改）
+function maskTargetConfig(config, secrets = BACKUP_TARGET_SECRETS) {
+    const masked = { ...config };
+    secrets.forEach(key => {
+        if (masked[key]) masked[key] = SECRET_PLACEHOLDER;
+    });
+    return masked;
 }
 
-// --- 备份设置 API ---
+function formatBackupTarget(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        config: maskTargetConfig(JSON.parse(row.config)),
+        enabled: !!row.enabled,
+        maxCount: row.max_count,
+        lastStatus: row.last_status,
+        lastRunAt: row.last_run_at
+    };
+}
 
-// 获取备份设置
-app.get('/api/backup/settings', (req, res) => {
-    res.json({
-        enabled: getSetting('backup_enabled', 'true') === 'true',
-        mode: getSetting('backup_mode', 'schedule'), // 默认定时模式
-        interval: parseInt(getSetting('backup_interval', '24')),
-        scheduleTime: getSetting('backup_schedule_time', '02:00'),
-        scheduleDay: getSetting('backup_schedule_day', 'daily'),
-        path: getSetting('backup_path', BACKUP_PATH),
-        maxCount: parseInt(getSetting('backup_max_count', '10'))
+// 校验请求中的目标配置；占位符替换为已保存的凭据。返回错误信息或 { type, config }
+function parseTargetConfig(body, existing) {
+    const type = body.type || (existing && existing.type);
+    const adapter = BACKUP_TARGET_TYPES[type];
+    if (!adapter) return { error: '不支持的目标类型' };
+
+    const saved = existing && existing.type === type ? JSON.parse(existing.config) : {};
+    const config = {};
+    for (const [key, value] of Object.entries(body.config || {})) {
+        if (typeof value === 'string') config[key] = value.trim();
+        else if (typeof value === 'boolean') config[key] = value;
+    }
+    BACKUP_TARGET_SECRETS.forEach(key => {
+        if (config[key] === SECRET_PLACEHOLDER) config[key] = saved[key] || '';
     });
-});
+    // 私钥保留原始换行
+    if (body.config && typeof body.config.privateKey === 'string' && body.config.privateKey !== SECRET_PLACEHOLDER) {
+        config.privateKey = body.config.privateKey;
+    }
 
-// 更新备份设置
-app.post('/api/backup/settings', (req, res) => {
-    const { enabled, mode, interval, scheduleTime, scheduleDay, path: backupPath, maxCount } = req.body;
+    const missing = adapter.required.filter(key => !config[key]);
+    if (missing.length) return { error: `${adapter.label} 缺少必填项: ${missing.join(', ')}` };
+    if (type === 'webdav' || type === 's3') {
+        const url = type === 'webdav' ? config.url : config.endpoint;
+        if (!/^https?:\/\//.test(url)) return { error: '地址必须以 http:// 或 https:// 开头' };
+    }
+    if (type === 'sftp' && !config.password && !config.privateKey) return { error: 'SFTP 需要密码或私钥' };
+    return { type, config };
+}
 
-    // 验证备份路径
-    if (backupPath) {
-        try {
-            // 检查路径是否存在
-            if (!fs.existsSync(backupPath)) {
-                return res.status(400).json({
-                    error: '备份路径不存在，请先创建目录: ' + backupPath
-                });
-            }
+// 测试连接：写入、列出、删除一个测试文件
+async function testBackupTarget(type, config) {
+    const adapter = BACKUP_TARGET_TYPES[type];
+    const name = `.baby-tracker-test-${Date.now()}`;
+    const temp = path.join(os.tmpdir(), name);
+    fs.writeFileSync(temp, 'baby-tracker connection test\n');
+    try {
+        await adapter.upload(config, temp, name);
+        const files = await adapter.list(config);
+        if (!files.some(f => f.name === name)) throw targetError('测试文件已上传，但列出目录时没有找到');
+        await adapter.remove(config, name);
+    } finally {
+        fs.rmSync(temp, { force: true });
+    }
+}
 
-            // 检查是否是目录
-            const stat = fs.statSync(backupPath);
-            if (!stat.isDirectory()) {
-                return res.status(400).json({
-                    error: '指定的路径不是目录: ' + backupPath
-                });
-            }
+function logTargetResult(target, filename, size, status) {
+    db.prepare(
+        'INSERT INTO backup_logs (timestamp, filename, size, recordCount, mediaCount, status, target) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    ).run(new Date().toISOString(), filename, size, 0, 0, status, target.name);
+}
 
-            // 检查目录是否可写
-            const testFile = path.join(backupPath, '.write-test-' + Date.now());
-            fs.writeFileSync(testFile, 'test');
-            fs.unlinkSync(testFile);
+// SFTP 目标首次连接后保存记录下来的服务器指纹，之后的连接都按它校验
+function saveTargetHostKey(target, config) {
+    if (target.type !== 'sftp' || !config.hostKey || JSON.parse(target.config).hostKey) return;
+    db.prepare('UPDATE backup_targets SET config = ? WHERE id = ?').run(JSON.stringify(config), target.id);
+    console.log(`[备份] 已记录 ${target.name} 的服务器指纹: ${config.hostKey}`);
+}
 
-            setSetting('backup_path', backupPath);
-        } catch (e) {
-            return res.status(400).json({
-                error: '备份路径无效或无写入权限: ' + e.message
-            });
-        }
+// 上传一个备份到目标，然后按目标的保留数量清理旧备份和不再引用的 blob
+async function syncBackupTarget(target, backupDir, filename) {
+    const config = JSON.parse(target.config);
+    try {
+        return await syncTargetFiles(target, config, backupDir, filename);
+    } finally {
+        saveTargetHostKey(target, config);
     }
+}
 
-    if (typeof enabled === 'boolean') {
-        setSetting('backup_enabled', enabled.toString());
+async function syncTargetFiles(target, config, backupDir, filename) {
+    const adapter = BACKUP_TARGET_TYPES[target.type];
+    const file = path.join(backupDir, filename);
+
+    // 先上传媒体库增量备份引用的新 blob，归档最后上传（归档存在即表示内容完整）
+    // backup_target_blobs.sha256 保存的是 blob 文件名（加密的 blob 带口令编号和 .enc 后缀）
+    const refs = [...new Set(await readBackupBlobRefs(file))];
+    const uploaded = new Set(db.prepare('SELECT sha256 FROM backup_target_blobs WHERE target_id = ?').all(target.id).map(r => r.sha256));
+    const insertBlob = db.prepare('INSERT OR IGNORE INTO backup_target_blobs (target_id, sha256) VALUES (?, ?)');
+    let blobCount = 0;
+    for (const blob of refs) {
+        if (uploaded.has(blob)) continue;
+        await adapter.upload(config, backupBlobPath(backupDir, blob), `${BACKUP_BLOB_DIR}/${blob.slice(0, 2)}/${blob}`);
+        insertBlob.run(target.id, blob);
+        blobCount++;
     }
-    if (mode && ['interval', 'schedule'].includes(mode)) {
-        setSetting('backup_mode', mode);
-    }
-    if (interval && interval >= 1) {
-        setSetting('backup_interval', interval.toString());
+    await adapter.upload(config, file, filename);
+    db.prepare('INSERT OR REPLACE INTO backup_target_files (target_id, filename, blobs) VALUES (?, ?, ?)')
+        .run(target.id, filename, JSON.stringify(refs));
+
+    // 与本地相同的保留策略（固定、导入、恢复前快照、GFS），按数量保留时使用目标自己的数量
+    // 只清理 backup_target_files 中记录的、由本实例上传到当前位置的文件；其他实例或修改目标前上传的文件不动
+    // 文件名中没有备份时间的文件不参与清理
+    const ours = new Set(db.prepare('SELECT filename FROM backup_target_files WHERE target_id = ?').all(target.id).map(r => r.filename));
+    const remote = (await adapter.list(config)).map(f => f.name).filter(name => isBackupFilename(name) && ours.has(name));
+    const plan = planRetention(remote.map(name => ({ filename: name, time: parseBackupTime(name) })).filter(f => f.time), target.max_count);
+    const removed = [];
+    for (const [name, reasons] of plan) {
+        if (reasons.length > 0) continue;
+        await adapter.remove(config, name);
+        logTargetResult(target, name, 0, 'deleted');
+        removed.push(name);
     }
-    if (scheduleTime && /^\d{2}:\d{2}$/.test(scheduleTime)) {
-        setSetting('backup_schedule_time', scheduleTime);
+    const kept = new Set(remote.filter(name => !removed.includes(name)));
+    db.prepare('SELECT filename FROM backup_target_files WHERE target_id = ?').all(target.id)
+        .filter(row => !kept.has(row.filename))
+        .forEach(row => db.prepare('DELETE FROM backup_target_files WHERE target_id = ? AND filename = ?').run(target.id, row.filename));
+
+    // 清理目标上不再被任何归档引用的 blob
+    const referenced = new Set();
+    db.prepare('SELECT blobs FROM backup_target_files WHERE target_id = ?').all(target.id)
+        .forEach(row => JSON.parse(row.blobs || '[]').forEach(blob => referenced.add(blob)));
+    const orphans = db.prepare('SELECT sha256 FROM backup_target_blobs WHERE target_id = ?').all(target.id)
+        .map(r => r.sha256).filter(blob => !referenced.has(blob));
+    for (const blob of orphans) {
+        await adapter.remove(config, `${BACKUP_BLOB_DIR}/${blob.slice(0, 2)}/${blob}`);
+        db.prepare('DELETE FROM backup_target_blobs WHERE target_id = ? AND sha256 = ?').run(target.id, blob);
     }
-    if (scheduleDay !== undefined) {
-        setSetting('backup_schedule_day', scheduleDay.toString());
+
+    return { blobCount, removed: removed.length, orphanBlobs: orphans.length };
+}
+
+// 本地备份完成后依次上传到所有启用的目标，单个目标失败不影响其他目标
+async function uploadToBackupTargets(backupDir, filename, size) {
+    const targets = db.prepare('SELECT * FROM backup_targets WHERE enabled = 1 ORDER BY id').all();
+    const results = [];
+    for (const target of targets) {
+        const now = new Date().toISOString();
+        try {
+            const result = await syncBackupTarget(target, backupDir, filename);
+            logTargetResult(target, filename, size, 'success');
+            db.prepare('UPDATE backup_targets SET last_status = ?, last_run_at = ? WHERE id = ?').run('success', now, target.id);
+            console.log(`[备份] 已上传到 ${target.name}: ${filename}${result.blobCount ? `，新增媒体 ${result.blobCount} 个` : ''}`);
+            results.push({ target: target.name, success: true });
+        } catch (error) {
+            logTargetResult(target, filename, 0, `error: ${error.message}`);
+            db.prepare('UPDATE backup_targets SET last_status = ?, last_run_at = ? WHERE id = ?').run(`error: ${error.message}`, now, target.id);
+            console.error(`[备份] 上传到 ${target.name} 失败:`, error.message);
+            results.push({ target: target.name, success: false, error: error.message });
+        }
     }
-    if (maxCount && maxCount >= 1) {
-        setSetting('backup_max_count', maxCount.toString());
+    const failed = results.filter(r => !r.success);
+    if (failed.length > 0) {
+        notifyBackupProblem('target_failed', '远程备份上传失败',
+            `备份文件: ${filename}\n${failed.map(r => `${r.target}: ${r.error}`).join('\n')}`);
     }
+    return results;
+}
 
-    // 重启定时器
-    startAutoBackup();
+// --- 远程目标 API ---
 
-    res.json({ success: true });
+app.get('/api/backup/targets', (req, res) => {
+    const rows = db.prepare('SELECT * FROM backup_targets ORDER BY id').all();
+    res.json(rows.map(formatBackupTarget));
 });
 
-// 手动触发备份
-app.post('/api/backup/now', (req, res) => {
-    const backupDir = getSetting('backup_path', BACKUP_PATH);
-    const result = performBackup(backupDir);
-    res.json(result);
+app.post('/api/backup/targets', (req, res) => {
+    const { name, enabled, maxCount } = req.body;
+    if (!name || !name.trim()) return res.status(400).json({ error: '请填写目标名称' });
+    const parsed = parseTargetConfig(req.body, null);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const info = db.prepare(
+        'INSERT INTO backup_targets (name, type, config, enabled, max_count, created_at) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(name.trim(), parsed.type, JSON.stringify(parsed.config), enabled === false ? 0 : 1,
+        maxCount >= 1 ? parseInt(maxCount) : 10, new Date().toISOString());
+    console.log(`[备份] 已添加远程目标: ${name.trim()} (${parsed.type})`);
+    res.json(formatBackupTarget(db.prepare('SELECT * FROM backup_targets WHERE id = ?').get(info.lastInsertRowid)));
 });
 
-// 获取备份历史
-app.get('/api/backup/logs', (req, res) => {
-    const logs = db.prepare('SELECT * FROM backup_logs ORDER BY timestamp DESC LIMIT 50').all();
-    res.json(logs);
+app.put('/api/backup/targets/:id', (req, res) => {
+    const existing = db.prepare('SELECT * FROM backup_targets WHERE id = ?').get(req.params.id);
+    if (!existing) return res.status(404).json({ error: '目标不存在' });
+    const { name, enabled, maxCount } = req.body;
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: '请填写目标名称' });
+
+    let { type, config } = existing;
+    if (req.body.config) {
+        const parsed = parseTargetConfig(req.body, existing);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        ({ type } = parsed);
+        config = JSON.stringify(parsed.config);
+    }
+    // 换了位置或类型后，之前记录的已上传文件不再适用
+    if (type !== existing.type || config !== existing.config) {
+        db.prepare('DELETE FROM backup_target_files WHERE target_id = ?').run(existing.id);
+        db.prepare('DELETE FROM backup_target_blobs WHERE target_id = ?').run(existing.id);
+    }
+    db.prepare('UPDATE backup_targets SET name = ?, type = ?, config = ?, enabled = ?, max_count = ? WHERE id = ?').run(
+        name !== undefined ? String(name).trim() : existing.name, type, config,
+        typeof enabled === 'boolean' ? (enabled ? 1 : 0) : existing.enabled,
+        maxCount >= 1 ? parseInt(maxCount) : existing.max_count, existing.id
+    );
+    res.json(formatBackupTarget(db.prepare('SELECT * FROM backup_targets WHERE id = ?').get(existing.id)));
 });
 
-// 获取备份文件列表
-app.get('/api/backup/files', (req, res) => {
-    const backupDir = getSetting('backup_path', BACKUP_PATH);
-
-    if (!fs.existsSync(backupDir)) {
-        return res.json([]);
-    }
+app.delete('/api/backup/targets/:id', (req, res) => {
+    const existing = db.prepare('SELECT * FROM backup_targets WHERE id = ?').get(req.params.id);
+    if (!existing) return res.status(404).json({ error: '目标不存在' });
+    db.transaction(() => {
+        db.prepare('DELETE FROM backup_target_files WHERE target_id = ?').run(existing.id);
+        db.prepare('DELETE FROM backup_target_blobs WHERE target_id = ?').run(existing.id);
+        db.prepare('DELETE FROM backup_targets WHERE id = ?').run(existing.id);
+    })();
+    console.log(`[备份] 已删除远程目标: ${existing.name}（远程文件不会被删除）`);
+    res.json({ success: true });
+});
 
-    const files = fs.readdirSync(backupDir)
-        .filter(f => f.startsWith('baby-backup-') && f.endsWith('.tar.gz'))
-        .map(f => {
-            const stat = fs.statSync(path.join(backupDir, f));
-            return {
-                filename: f,
-                size: stat.size,
-                created: stat.mtime.toISOString()
-            };
-        })
-        .sort((a, b) => new Date(b.created) - new Date(a.created));
+// 测试连接：可以测试尚未保存的配置（body 中带 id 时使用已保存的凭据）
+app.post('/api/backup/targets/test', async (req, res) => {
+    const existing = req.body.id ? db.prepare('SELECT * FROM backup_targets WHERE id = ?').get(req.body.id) : null;
+    const parsed = existing && !req.body.config
+        ? { type: existing.type, config: JSON.parse(existing.config) }
+        : parseTargetConfig(req.body, existing);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
 
-    res.json(files);
+    try {
+        await testBackupTarget(parsed.type, parsed.config);
+        if (existing && !req.body.config) saveTargetHostKey(existing, parsed.config);
+        // 未保存的配置返回首次连接记录的指纹，由界面填入后随配置一起保存
+        res.json({ success: true, message: '连接成功，可以正常写入和删除文件', hostKey: parsed.config.hostKey });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: `连接失败: ${error.message}` });
+    }
 });
 
-// 下载指定备份文件
-app.get('/api/backup/download/:filename', (req, res) => {
+// 把已有的备份文件上传到所有启用的目标（用于首次配置后补传）
+app.post('/api/backup/targets/upload/:filename', async (req, res) => {
     const backupDir = getSetting('backup_path', BACKUP_PATH);
     const filename = req.params.filename;
-
-    // 安全检查
-    if (!filename.startsWith('baby-backup-') || !filename.endsWith('.tar.gz')) {
-        return res.status(400).json({ error: '无效的文件名' });
-    }
-
+    if (!isBackupFilename(filename)) return res.status(400).json({ error: '无效的文件名' });
     const filepath = path.join(backupDir, filename);
-    if (!fs.existsSync(filepath)) {
-        return res.status(404).json({ error: '文件不存在' });
-    }
+    if (!fs.existsSync(filepath)) return res.status(404).json({ error: '文件不存在' });
 
-    res.download(filepath);
+    const results = await uploadToBackupTargets(backupDir, filename, fs.statSync(filepath).size);
+    res.json({ success: results.every(r => r.success), results });
 });
 
-// 上传备份文件到备份目录（导入）
-app.post('/api/backup/upload', express.raw({ type: '*/*', limit: '500mb' }), (req, res) => {
-    try {
-        const backupDir = getSetting('backup_path', BACKUP_PATH);
-
-        // 确保备份目录存在
-        if (!fs.existsSync(backupDir)) {
-            fs.mkdirSync(backupDir, { recursive: true });
-        }
+// =============================================
+// 6.2 备份通知（邮件 / Webhook / Bark / ntfy）与健康检查
+// =============================================
 
-        // 验证是否为有效的 gzip 文件
-        try {
-            zlib.gunzipSync(req.body);
-        } catch (e) {
-            return res.status(400).json({ error: '无效的备份文件格式' });
-        }
+// 备份失败、远程上传失败、超过 N 天没有成功备份时通知所有启用的渠道
+// 通知失败只记录在渠道状态和日志中，不影响备份本身
+const NOTIFY_SECRETS = ['password', 'secret', 'token'];
+const BACKUP_STALE_CHECK_INTERVAL = 60 * 60 * 1000; // 每小时检查一次是否长时间没有成功备份
+
+// --- SMTP 邮件（只实现发送纯文本通知所需的部分：EHLO、STARTTLS、AUTH PLAIN/LOGIN） ---
+
+function smtpConnect(host, port, security) {
+    return new Promise((resolve, reject) => {
+        const options = { host, port, ...(!net.isIP(host) && { servername: host }) };
+        const socket = security === 'tls' ? tls.connect(options) : net.connect(options);
+        socket.setTimeout(BACKUP_TARGET_TIMEOUT, () => socket.destroy(targetError('SMTP 连接超时')));
+        socket.once('error', reject);
+        socket.once(security === 'tls' ? 'secureConnect' : 'connect', () => {
+            socket.off('error', reject);
+            resolve(socket);
+        });
+    });
+}
 
-        // 生成文件名
-        const now = new Date();
-        const timestamp = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-${String(now.getDate()).padStart(2,'0')}_${String(now.getHours()).padStart(2,'0')}-${String(now.getMinutes()).padStart(2,'0')}-${String(now.getSeconds()).padStart(2,'0')}`;
-        const filename = `baby-backup-${timestamp}-imported.tar.gz`;
-        const filepath = path.join(backupDir, filename);
+// STARTTLS 之后在原连接上建立 TLS
+function smtpUpgrade(socket, host) {
+    return new Promise((resolve, reject) => {
+        socket.removeAllListeners('data');
+        const secure = tls.connect({ socket, ...(!net.isIP(host) && { servername: host }) });
+        secure.setTimeout(BACKUP_TARGET_TIMEOUT, () => secure.destroy(targetError('SMTP 连接超时')));
+        secure.once('error', reject);
+        secure.once('secureConnect', () => {
+            secure.off('error', reject);
+            resolve(secure);
+        });
+    });
+}
 
-        fs.writeFileSync(filepath, req.body);
+// 逐个读取应答；多行应答的中间行为 "250-..."，最后一行为 "250 ..."
+function smtpReader(socket) {
+    const replies = [];
+    const waiters = [];
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const settle = () => {
+        while (waiters.length > 0 && (replies.length > 0 || failure)) {
+            const waiter = waiters.shift();
+            if (replies.length > 0) waiter.resolve(replies.shift());
+            else waiter.reject(failure);
+        }
+    };
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line.slice(4));
+            if (line[3] !== '-') {
+                replies.push({ code: parseInt(line.slice(0, 3)), lines });
+                lines = [];
+            }
+        }
+        settle();
+    });
+    socket.on('error', error => { failure = error; settle(); });
+    socket.on('close', () => { failure = failure || targetError('SMTP 服务器关闭了连接'); settle(); });
+    return () => new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        settle();
+    });
+}
 
-        res.json({ success: true, filename, message: '备份文件已导入' });
-    } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ error: '导入失败: ' + error.message });
+// 邮件头中的非 ASCII 文本按 RFC 2047 编码，每段不超过 45 字节原文
+function encodeMailHeader(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+    const words = [];
+    let current = '';
+    for (const char of value) {
+        if (Buffer.byteLength(current + char) > 45) {
+            words.push(current);
+            current = '';
+        }
+        current += char;
     }
-});
+    words.push(current);
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
 
-// 从指定备份文件恢复数据
-app.post('/api/backup/restore/:filename', (req, res) => {
-    try {
-        const backupDir = getSetting('backup_path', BACKUP_PATH);
-        const filename = req.params.filename;
+// "名称 <a@b.com>" 或 "a@b.com" 中的邮箱地址
+function mailAddress(value) {
+    const match = value.match(/<([^>]+)>/);
+    return (match ? match[1] : value).trim();
+}
 
-        // 安全检查
-        if (!filename.startsWith('baby-backup-') || !filename.endsWith('.tar.gz')) {
-            return res.status(400).json({ error: '无效的文件名' });
+async function sendSmtpMail(config, { subject, text }) {
+    const security = ['tls', 'starttls', 'none'].includes(config.security) ? config.security : 'starttls';
+    const port = parseInt(config.port) || { tls: 465, starttls: 587, none: 25 }[security];
+    const recipients = config.to.split(/[,;\s]+/).filter(Boolean);
+
+    let socket = await smtpConnect(config.host, port, security);
+    let read = smtpReader(socket);
+    const command = async (line, expected) => {
+        if (line) socket.write(`${line}\r\n`);
+        const reply = await read();
+        if (!expected.includes(reply.code)) {
+            // 只显示命令名，避免把认证信息写进错误
+            const name = line ? line.split(' ').slice(0, line.startsWith('MAIL') || line.startsWith('RCPT') ? 2 : 1).join(' ') : '连接';
+            throw targetError(`SMTP ${name} 失败: ${reply.code} ${reply.lines.join(' ')}`);
         }
+        return reply;
+    };
 
-        const filepath = path.join(backupDir, filename);
-        if (!fs.existsSync(filepath)) {
-            return res.status(404).json({ error: '文件不存在' });
+    try {
+        await command(null, [220]);
+        let ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        if (security === 'starttls') {
+            if (!ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) throw targetError('SMTP 服务器不支持 STARTTLS，请改用 SSL/TLS 或不加密');
+            await command('STARTTLS', [220]);
+            socket = await smtpUpgrade(socket, config.host);
+            read = smtpReader(socket);
+            ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        }
+        if (config.username) {
+            const auth = (ehlo.lines.find(l => /^AUTH\b/i.test(l)) || '').toUpperCase().split(/[\s=]+/);
+            if (auth.includes('PLAIN')) {
+                await command(`AUTH PLAIN ${Buffer.from(`\0${config.username}\0${config.password || ''}`).toString('base64')}`, [235]);
+            } else if (auth.includes('LOGIN')) {
+                await command('AUTH LOGIN', [334]);
+                await command(Buffer.from(config.username).toString('base64'), [334]);
+                await command(Buffer.from(config.password || '').toString('base64'), [235]);
+            } else {
+                throw targetError('SMTP 服务器不支持 PLAIN / LOGIN 认证');
+            }
         }
 
-        // 读取并解压文件
-        const gzipped = fs.readFileSync(filepath);
-        const tarBuffer = zlib.gunzipSync(gzipped);
-        const files = parseTar(tarBuffer);
+        await command(`MAIL FROM:<${mailAddress(config.from)}>`, [250]);
+        for (const to of recipients) await command(`RCPT TO:<${mailAddress(to)}>`, [250, 251]);
+        await command('DATA', [354]);
+        const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+        const message = [
+            `From: ${config.from}`,
+            `To: ${recipients.join(', ')}`,
+            `Subject: ${encodeMailHeader(subject)}`,
+            `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+            `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${os.hostname() || 'baby-tracker'}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            body
+        ].join('\r\n');
+        await command(`${message}\r\n.`, [250]);
+        socket.write('QUIT\r\n');
+    } finally {
+        socket.destroy();
+    }
+}
 
-        // 找到 data.json
-        const dataFile = files.find(f => f.name === 'data.json');
-        if (!dataFile) {
-            return res.status(400).json({ error: '无效的备份文件：缺少 data.json' });
-        }
+const emailChannel = {
+    label: '邮件 (SMTP)',
+    required: ['host', 'from', 'to'],
+    send: (config, notice) => sendSmtpMail(config, { subject: notice.title, text: notice.text })
+};
+
+// --- Webhook / Bark / ntfy ---
 
-        const importData = JSON.parse(dataFile.content.toString('utf8'));
+async function notifyRequest(label, url, options) {
+    const res = await fetch(url, { ...options, signal: AbortSignal.timeout(BACKUP_TARGET_TIMEOUT) });
+    if (!res.ok) throw targetError(`${label} 返回 HTTP ${res.status}`);
+}
 
-        if (!importData.version || !importData.baby || !importData.records) {
-            return res.status(400).json({ error: '备份文件格式无效' });
+// POST JSON；设置了密钥时附带 X-Baby-Tracker-Signature: sha256=<HMAC-SHA256(请求体)>
+const webhookChannel = {
+    label: 'Webhook',
+    required: ['url'],
+    send(config, notice) {
+        const body = JSON.stringify({
+            event: notice.event,
+            level: notice.level,
+            title: notice.title,
+            message: notice.message,
+            time: notice.time,
+            host: os.hostname(),
+            version: APP_VERSION
+        });
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.secret) {
+            headers['X-Baby-Tracker-Signature'] = `sha256=${crypto.createHmac('sha256', config.secret).update(body).digest('hex')}`;
         }
+        return notifyRequest('Webhook', config.url, { method: 'POST', headers, body });
+    }
+};
 
-        // 恢复宝宝信息
-        const { name, birthDate, gender, bloodType } = importData.baby;
-        db.prepare('UPDATE baby SET name = ?, birthDate = ?, gender = ?, bloodType = ? WHERE id = 1')
-            .run(name, birthDate, gender, bloodType);
+// 地址形如 https://api.day.app/<设备 key>
+const barkChannel = {
+    label: 'Bark',
+    required: ['url'],
+    send(config, notice) {
+        return notifyRequest('Bark', config.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=utf-8' },
+            body: JSON.stringify({
+                title: notice.title,
+                body: notice.message,
+                group: '宝宝成长记录',
+                ...(notice.level === 'error' && { level: 'timeSensitive' })
+            })
+        });
+    }
+};
 
-        // 恢复记录
-        db.prepare('DELETE FROM records').run();
-        const insertRecord = db.prepare(
-            'INSERT INTO records (date, time, height, weight, head, milk_amount, poop, pee, note, mediaIds) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
-        );
-        importData.records.forEach(r => {
-            insertRecord.run(r.date, r.time || '', r.height, r.weight, r.head, r.milk_amount || 0, r.poop || '', r.pee || '', r.note, r.mediaIds || '');
+// 地址形如 https://ntfy.sh/<主题>；标题放在查询参数中以支持中文
+const ntfyChannel = {
+    label: 'ntfy',
+    required: ['url'],
+    send(config, notice) {
+        const url = new URL(config.url);
+        url.searchParams.set('title', notice.title);
+        url.searchParams.set('tags', notice.level === 'error' ? 'rotating_light' : 'warning');
+        if (notice.level === 'error') url.searchParams.set('priority', 'high');
+        return notifyRequest('ntfy', url, {
+            method: 'POST',
+            headers: config.token ? { Authorization: `Bearer ${config.token}` } : {},
+            body: notice.message
         });
+    }
+};
 
-        // 恢复媒体元数据
-        if (importData.mediaMeta?.length > 0) {
-            db.prepare('DELETE FROM media_meta').run();
-            const insertMeta = db.prepare(
-                'INSERT OR REPLACE INTO media_meta (filename, title, description, customDate) VALUES (?, ?, ?, ?)'
-            );
-            importData.mediaMeta.forEach(m => {
-                insertMeta.run(m.filename, m.title, m.description, m.customDate);
-            });
-        }
+const NOTIFY_CHANNEL_TYPES = { email: emailChannel, webhook: webhookChannel, bark: barkChannel, ntfy: ntfyChannel };
+
+function formatNotifyChannel(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        config: maskTargetConfig(JSON.parse(row.config), NOTIFY_SECRETS),
+        enabled: !!row.enabled,
+        lastStatus: row.last_status,
+        lastSentAt: row.last_sent_at
+    };
+}
+
+// 校验请求中的渠道配置；占位符替换为已保存的凭据。返回错误信息或 { type, config }
+function parseNotifyConfig(body, existing) {
+    const type = body.type || (existing && existing.type);
+    const channel = NOTIFY_CHANNEL_TYPES[type];
+    if (!channel) return { error: '不支持的通知类型' };
+
+    const saved = existing && existing.type === type ? JSON.parse(existing.config) : {};
+    const config = {};
+    for (const [key, value] of Object.entries(body.config || {})) {
+        if (typeof value === 'string') config[key] = value.trim();
+    }
+    NOTIFY_SECRETS.forEach(key => {
+        if (config[key] === SECRET_PLACEHOLDER) config[key] = saved[key] || '';
+    });
+
+    const missing = channel.required.filter(key => !config[key]);
+    if (missing.length) return { error: `${channel.label} 缺少必填项: ${missing.join(', ')}` };
+    if (type !== 'email' && !/^https?:\/\//.test(config.url)) return { error: '地址必须以 http:// 或 https:// 开头' };
+    // 邮件的字段会写入 SMTP 命令和邮件头，换行可以注入额外的命令或收件人
+    if (type === 'email' && Object.values(config).some(value => /[\r\n]/.test(value))) {
+        return { error: '邮件设置不能包含换行' };
+    }
+    if (type === 'email' && !config.to.split(/[,;\s]+/).filter(Boolean).every(to => /^[^@\s<>]+@[^@\s<>]+$/.test(mailAddress(to)))) {
+        return { error: '收件人邮箱格式不正确' };
+    }
+    return { type, config };
+}
+
+// 组装通知内容：title 为标题，message 为正文，text 为带时间和主机名的完整文本（邮件正文）
+function buildNotice(event, level, title, message) {
+    const time = new Date();
+    return {
+        event,
+        level,
+        title: `宝宝成长记录：${title}`,
+        message,
+        time: time.toISOString(),
+        text: `${message}\n\n时间: ${time.toLocaleString()}\n主机: ${os.hostname()}\n`
+    };
+}
 
-        // 恢复媒体文件
-        if (!fs.existsSync(MEDIA_PATH)) {
-            fs.mkdirSync(MEDIA_PATH, { recursive: true });
+async function sendNotice(channels, notice) {
+    const results = [];
+    for (const row of channels) {
+        const now = new Date().toISOString();
+        try {
+            await NOTIFY_CHANNEL_TYPES[row.type].send(JSON.parse(row.config), notice);
+            db.prepare('UPDATE notify_channels SET last_status = ?, last_sent_at = ? WHERE id = ?').run('success', now, row.id);
+            results.push({ channel: row.name, success: true });
+        } catch (error) {
+            db.prepare('UPDATE notify_channels SET last_status = ?, last_sent_at = ? WHERE id = ?').run(`error: ${error.message}`, now, row.id);
+            console.error(`[通知] 发送到 ${row.name} 失败:`, error.message);
+            results.push({ channel: row.name, success: false, error: error.message });
         }
+    }
+    return results;
+}
 
-        let mediaRestored = 0;
-        files.filter(f => f.name.startsWith('media/')).forEach(f => {
-            const relativePath = f.name.replace('media/', '');
-            const fullPath = path.join(MEDIA_PATH, relativePath);
-            const dir = path.dirname(fullPath);
+// 备份出问题时通知所有启用的渠道（不等待发送完成）
+function notifyBackupProblem(event, title, message, level = 'error') {
+    const channels = db.prepare('SELECT * FROM notify_channels WHERE enabled = 1 ORDER BY id').all();
+    if (channels.length === 0) return;
+    console.log(`[通知] ${title}，发送到 ${channels.length} 个渠道`);
+    sendNotice(channels, buildNotice(event, level, title, message)).catch(error => console.error('[通知] 发送失败:', error.message));
+}
 
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-            fs.writeFileSync(fullPath, f.content);
-            mediaRestored++;
-        });
+// --- 备份状态 ---
+
+// 本地备份的最近一次结果和最近一次成功时间（远程目标的日志带 target，不计入）
+function getBackupStatus() {
+    const last = db.prepare(
+        "SELECT timestamp, filename, status FROM backup_logs WHERE target IS NULL AND status != 'deleted' ORDER BY timestamp DESC LIMIT 1"
+    ).get();
+    const lastSuccess = db.prepare(
+        "SELECT timestamp, filename FROM backup_logs WHERE target IS NULL AND status = 'success' ORDER BY timestamp DESC LIMIT 1"
+    ).get();
+    const staleDays = parseInt(getSetting('backup_stale_days', '3'));
+    const enabled = getSetting('backup_enabled', 'true') === 'true';
 
-        console.log(`[恢复] 成功从 ${filename} 恢复数据`);
+    // 从未成功时从第一次尝试备份起算
+    let since = lastSuccess ? lastSuccess.timestamp : null;
+    if (!since) {
+        const first = db.prepare("SELECT MIN(timestamp) AS timestamp FROM backup_logs WHERE target IS NULL AND status != 'deleted'").get();
+        since = first && first.timestamp;
+    }
+    const stale = enabled && staleDays > 0 && !!since && Date.now() - new Date(since).getTime() >= staleDays * 24 * 60 * 60 * 1000;
+    return { enabled, last, lastSuccess, since, staleDays, stale };
+}
 
-        res.json({
-            success: true,
-            message: `恢复成功！已恢复 ${importData.records.length} 条记录`,
-            recordCount: importData.records.length,
-            mediaCount: mediaRestored
-        });
+// 超过 N 天没有成功备份时提醒；仍未恢复时每 N 天再提醒一次
+function checkBackupStale() {
+    const status = getBackupStatus();
+    if (!status.stale) return;
+    const alertedAt = getSetting('backup_stale_alerted_at');
+    const interval = status.staleDays * 24 * 60 * 60 * 1000;
+    if (alertedAt && alertedAt > status.since && Date.now() - new Date(alertedAt).getTime() < interval) return;
+
+    setSetting('backup_stale_alerted_at', new Date().toISOString());
+    const last = status.lastSuccess
+        ? `最近一次成功备份: ${new Date(status.lastSuccess.timestamp).toLocaleString()}（${status.lastSuccess.filename}）`
+        : '还没有成功的备份';
+    const error = status.last && status.last.status !== 'success' ? `\n最近一次备份结果: ${status.last.status}` : '';
+    notifyBackupProblem('backup_stale', `已超过 ${status.staleDays} 天没有成功备份`, `${last}${error}`, 'warning');
+}
 
-    } catch (error) {
-        console.error('Restore error:', error);
-        res.status(500).json({ error: '恢复失败: ' + error.message });
+function startBackupStaleCheck() {
+    checkBackupStale();
+    setInterval(checkBackupStale, BACKUP_STALE_CHECK_INTERVAL).unref();
+}
+
+// --- 通知渠道 API ---
+
+app.get('/api/backup/notifications', (req, res) => {
+    const rows = db.prepare('SELECT * FROM notify_channels ORDER BY id').all();
+    res.json(rows.map(formatNotifyChannel));
+});
+
+app.post('/api/backup/notifications', (req, res) => {
+    const { name, enabled } = req.body;
+    if (!name || !name.trim()) return res.status(400).json({ error: '请填写渠道名称' });
+    const parsed = parseNotifyConfig(req.body, null);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const info = db.prepare(
+        'INSERT INTO notify_channels (name, type, config, enabled, created_at) VALUES (?, ?, ?, ?, ?)'
+    ).run(name.trim(), parsed.type, JSON.stringify(parsed.config), enabled === false ? 0 : 1, new Date().toISOString());
+    console.log(`[通知] 已添加通知渠道: ${name.trim()} (${parsed.type})`);
+    res.json(formatNotifyChannel(db.prepare('SELECT * FROM notify_channels WHERE id = ?').get(info.lastInsertRowid)));
+});
+
+app.put('/api/backup/notifications/:id', (req, res) => {
+    const existing = db.prepare('SELECT * FROM notify_channels WHERE id = ?').get(req.params.id);
+    if (!existing) return res.status(404).json({ error: '通知渠道不存在' });
+    const { name, enabled } = req.body;
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: '请填写渠道名称' });
+
+    let { type, config } = existing;
+    if (req.body.config) {
+        const parsed = parseNotifyConfig(req.body, existing);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        ({ type } = parsed);
+        config = JSON.stringify(parsed.config);
     }
+    db.prepare('UPDATE notify_channels SET name = ?, type = ?, config = ?, enabled = ? WHERE id = ?').run(
+        name !== undefined ? String(name).trim() : existing.name, type, config,
+        typeof enabled === 'boolean' ? (enabled ? 1 : 0) : existing.enabled, existing.id
+    );
+    res.json(formatNotifyChannel(db.prepare('SELECT * FROM notify_channels WHERE id = ?').get(existing.id)));
 });
 
-// 删除指定备份文件
-app.delete('/api/backup/files/:filename', (req, res) => {
-    const backupDir = getSetting('backup_path', BACKUP_PATH);
-    const filename = req.params.filename;
+app.delete('/api/backup/notifications/:id', (req, res) => {
+    const existing = db.prepare('SELECT * FROM notify_channels WHERE id = ?').get(req.params.id);
+    if (!existing) return res.status(404).json({ error: '通知渠道不存在' });
+    db.prepare('DELETE FROM notify_channels WHERE id = ?').run(existing.id);
+    console.log(`[通知] 已删除通知渠道: ${existing.name}`);
+    res.json({ success: true });
+});
 
-    if (!filename.startsWith('baby-backup-') || !filename.endsWith('.tar.gz')) {
-        return res.status(400).json({ error: '无效的文件名' });
+// 发送测试通知：可以测试尚未保存的配置（body 中带 id 时使用已保存的凭据）
+app.post('/api/backup/notifications/test', async (req, res) => {
+    const existing = req.body.id ? db.prepare('SELECT * FROM notify_channels WHERE id = ?').get(req.body.id) : null;
+    const parsed = existing && !req.body.config
+        ? { type: existing.type, config: JSON.parse(existing.config) }
+        : parseNotifyConfig(req.body, existing);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    try {
+        const notice = buildNotice('test', 'info', '测试通知', `这是一条测试通知，由 ${actorName(req)} 发送。收到说明备份出问题时可以及时提醒。`);
+        await NOTIFY_CHANNEL_TYPES[parsed.type].send(parsed.config, notice);
+        res.json({ success: true, message: '测试通知已发送，请检查是否收到' });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: `发送失败: ${error.message}` });
     }
+});
 
-    const filepath = path.join(backupDir, filename);
-    if (fs.existsSync(filepath)) {
-        fs.unlinkSync(filepath);
+// --- 健康检查 ---
 
-        // 记录删除日志
-        db.prepare(
-            'INSERT INTO backup_logs (timestamp, filename, size, recordCount, mediaCount, status) VALUES (?, ?, ?, ?, ?, ?)'
-        ).run(new Date().toISOString(), filename, 0, 0, 0, 'deleted');
+const HEALTH_DISK_MIN_FREE = 512 * 1024 * 1024; // 剩余空间低于 512 MB 视为异常
+const HEALTH_DISK_WARN_RATIO = 0.05; // 剩余空间低于 5% 时警告
 
-        console.log(`[备份] 已删除: ${filename}`);
+function diskUsage(dir) {
+    if (!fs.statfsSync) return null; // Node.js 18.15 以下
+    let stat;
+    try {
+        stat = fs.statfsSync(dir);
+    } catch (error) {
+        return { status: 'error', error: error.code || error.message };
     }
+    const total = stat.blocks * stat.bsize;
+    const free = stat.bavail * stat.bsize;
+    const status = free < HEALTH_DISK_MIN_FREE ? 'error' : free < total * HEALTH_DISK_WARN_RATIO ? 'warning' : 'ok';
+    return { status, free, total };
+}
 
-    res.json({ success: true });
+// 依次检查数据库、磁盘空间、媒体目录和备份，任何一项为 error 时返回 503，便于监控工具按状态码告警
+// backup 的 disabled 不影响整体状态
+// 请求是否带有效的登录会话或 API Token（/api/health 不经过认证中间件，需要自己判断）
+function isAuthenticatedRequest(req) {
+    const apiToken = extractApiToken(req);
+    if (apiToken) return validateApiToken(apiToken, 'read').valid;
+    const session = validateSession(getSessionId(req));
+    return !!(session && db.prepare('SELECT id FROM users WHERE id = ?').get(session.user_id));
+}
+
+app.get('/api/health', (req, res) => {
+    const checks = {};
+    const check = (name, fn) => {
+        try {
+            checks[name] = fn();
+        } catch (error) {
+            // 文件系统错误只返回错误代码，不暴露路径
+            checks[name] = { status: 'error', error: error.code || error.message };
+        }
+    };
+
+    check('database', () => {
+        db.prepare('SELECT COUNT(*) FROM settings').get();
+        return { status: 'ok' };
+    });
+    check('disk', () => {
+        const volumes = {
+            data: diskUsage(path.dirname(DB_PATH)),
+            media: diskUsage(MEDIA_PATH),
+            backup: diskUsage(getSetting('backup_path', BACKUP_PATH))
+        };
+        if (!volumes.data) return { status: 'unknown' };
+        const order = ['ok', 'warning', 'error'];
+        const status = Object.values(volumes).reduce((worst, v) => order.indexOf(v.status) > order.indexOf(worst) ? v.status : worst, 'ok');
+        return { status, ...volumes };
+    });
+    check('media', () => {
+        if (!fs.statSync(MEDIA_PATH).isDirectory()) throw new Error('媒体路径不是目录');
+        fs.accessSync(MEDIA_PATH, fs.constants.R_OK);
+        return { status: 'ok', count: db.prepare('SELECT COUNT(*) AS count FROM media').get().count };
+    });
+    check('backup', () => {
+        const status = getBackupStatus();
+        const failed = status.last && status.last.status !== 'success';
+        return {
+            status: !status.enabled ? 'disabled' : failed ? 'error' : status.stale ? 'warning' : 'ok',
+            lastRun: status.last ? status.last.timestamp : null,
+            lastResult: status.last ? (failed ? 'error' : 'success') : null,
+            lastSuccess: status.lastSuccess ? status.lastSuccess.timestamp : null,
+            staleDays: status.staleDays
+        };
+    });
+
+    const statuses = Object.values(checks).map(c => c.status);
+    const status = statuses.includes('error') ? 'error' : statuses.includes('warning') ? 'warning' : 'ok';
+    // 匿名请求只返回总体状态，版本、磁盘用量和备份时间等细节需要登录或 API Token
+    if (!isAuthenticatedRequest(req)) {
+        return res.status(status === 'error' ? 503 : 200).json({ status });
+    }
+    res.status(status === 'error' ? 503 : 200).json({
+        status,
+        version: APP_VERSION,
+        uptime: Math.round(process.uptime()),
+        checks
+    });
 });
 
 // Start Server
@@ -1609,6 +6834,19 @@ app.listen(PORT, () => {
     // 启动自动备份
     startAutoBackup();
 
+    // 定期清理过期会话
+    startSessionCleanup();
+
+    // 检查是否长时间没有成功备份
+    startBackupStaleCheck();
+
+    // 建立媒体索引并监听目录变化
+    startMediaIndexer();
+
+    // 检测视频、HEIC 解码器
+    detectVideoDecoder();
+    detectImageDecoders();
+
     console.log(`
 ╔════════════════════════════════════════════╗
 ║       🍼 宝宝成长记录服务已启动            ║